@@ -0,0 +1,15 @@
+/**
+ * Finish the library build after TypeScript has compiled it: mark the
+ * CommonJS build as such, since the package is an ES module, and include the
+ * licence.
+ */
+
+import { copyFileSync, writeFileSync } from "node:fs";
+
+const root = new URL("./", import.meta.url);
+
+writeFileSync(
+  new URL("dist/cjs/package.json", root),
+  `${JSON.stringify({ type: "commonjs" })}\n`,
+);
+copyFileSync(new URL("../../LICENCE", root), new URL("dist/LICENCE", root));
@@ -0,0 +1,372 @@
+#!/usr/bin/env node
+/**
+ * Command-line interface to the wet bulb calculator. It solves readings given
+ * as arguments or as lines on stdin, and prints them as plain text, JSON or
+ * CSV.
+ */
+
+import { realpathSync } from "node:fs";
+import { fileURLToPath } from "node:url";
+import { parseArgs } from "node:util";
+import { wetBulbCalculator } from "./wet-bulb-calculator.js";
+import {
+  formatTemperature,
+  fromCelsius,
+  isTemperatureUnit,
+  toCelsius,
+} from "./units.js";
+
+const USAGE = `Usage: wet-bulb [options] [temp rh]
+
+Calculate the wet bulb temperature and danger level from any two of the air
+temperature, relative humidity, wet bulb temperature and dew point. Without
+values, readings are read from stdin, one per line, as "temp,rh" or in the
+columns named by a header line such as "temp,wetBulb".
+
+Options:
+  -t, --temp <value>        Air temperature
+  -r, --rh <value>          Relative humidity in percent
+  -w, --wet-bulb <value>    Wet bulb temperature
+  -d, --dew-point <value>   Dew point
+  -u, --unit <C|F|K>        Unit of temperatures in and out (default: C)
+      --formula <name>      stull or psychrometric (default: stull)
+      --pressure <hPa>      Station pressure (default: 1013.25)
+      --scheme <name>       penn-state-2022 or sherwood-huber-2010
+      --thresholds <list>   Custom danger thresholds, e.g. 19,25,28,31
+      --profile <name>      Vulnerability profile (default: healthy-adult)
+  -f, --format <name>       plain, json or csv (default: plain)
+  -h, --help                Show this help`;
+
+/**
+ * Columns a reading can have, with whether they hold a temperature.
+ * @type {Record<keyof import('./wet-bulb-calculator.js').KnownConditions, boolean>}
+ */
+const COLUMNS = { temp: true, rh: false, wetBulb: true, dewPoint: true };
+
+/**
+ * @typedef {{
+ *   temp: number,
+ *   rh: number,
+ *   wetBulb: number,
+ *   dewPoint: number,
+ *   level: string,
+ *   label: string,
+ *   outOfDomain: boolean,
+ *   clamped: boolean,
+ *   noSolution: boolean,
+ *   ambiguous: boolean,
+ * }} Row
+ * A solved reading, with temperatures in Celsius.
+ */
+
+/**
+ * Fields of a row in machine-readable output, in order.
+ * @type {(keyof Row)[]}
+ */
+const ROW_FIELDS = [
+  "temp",
+  "rh",
+  "wetBulb",
+  "dewPoint",
+  "outOfDomain",
+  "clamped",
+  "noSolution",
+  "ambiguous",
+  "level",
+  "label",
+];
+
+/**
+ * @typedef {{
+ *   calculation: import('./wet-bulb-calculator.js').CalculationOptions,
+ *   danger: import('./wet-bulb-calculator.js').DangerOptions,
+ *   unit: import('./units.js').TemperatureUnit,
+ *   format: "plain" | "json" | "csv",
+ * }} CliOptions
+ */
+
+/**
+ * Parse readings from text, one per line with values separated by commas or
+ * whitespace. An optional header line names the columns, which default to the
+ * air temperature and humidity.
+ * @param {string} text
+ * @param {import('./units.js').TemperatureUnit} [unit] Unit of the
+ * temperatures.
+ * @returns {import('./wet-bulb-calculator.js').KnownConditions[]}
+ */
+export function parseReadings(text, unit = "C") {
+  // Keep the number of each line for error messages, counting the lines that
+  // are skipped.
+  const lines = text
+    .split(/\r?\n/)
+    .map((line, i) => ({ line: line.trim(), number: i + 1 }))
+    .filter(({ line }) => line && !line.startsWith("#"));
+  let columns = ["temp", "rh"];
+
+  if (lines.length > 0 && /^[a-z]/i.test(lines[0].line)) {
+    columns = lines.shift().line.split(/[\s,]+/);
+
+    const unknown = columns.find((column) => !Object.hasOwn(COLUMNS, column));
+    if (unknown) {
+      throw new Error(`Unknown column "${unknown}"`);
+    }
+  }
+
+  return lines.map(({ line, number }) => {
+    const values = line.split(/[\s,]+/).map(Number);
+
+    if (values.length !== columns.length || values.some(isNaN)) {
+      throw new Error(`Invalid reading on line ${number}: "${line}"`);
+    }
+
+    return Object.fromEntries(
+      columns.map((column, j) => [
+        column,
+        COLUMNS[column] ? toCelsius(values[j], unit) : values[j],
+      ]),
+    );
+  });
+}
+
+/**
+ * Solve readings and classify their danger levels.
+ * @param {import('./wet-bulb-calculator.js').KnownConditions[]} readings
+ * @param {Pick<CliOptions, "calculation" | "danger">} options
+ * @returns {Row[]}
+ */
+export function evaluate(readings, { calculation, danger }) {
+  return readings.map((reading) => {
+    const solved = wetBulbCalculator.solve(reading, calculation);
+    const { level, label } = solved.noSolution
+      ? { level: "", label: "" }
+      : wetBulbCalculator.getDangerLevel(solved.wetBulb, danger);
+
+    return { ...solved, level, label };
+  });
+}
+
+/**
+ * Format solved readings for output.
+ * @param {Row[]} rows
+ * @param {Pick<CliOptions, "unit" | "format">} options
+ * @returns {string}
+ */
+export function formatRows(rows, { unit, format }) {
+  if (format === "plain") {
+    return rows.map((row) => formatPlain(row, unit)).join("\n");
+  }
+
+  // Machine-readable formats have temperatures in the unit, rounded to 2
+  // decimal places.
+  const records = rows.map((row) =>
+    Object.fromEntries(
+      ROW_FIELDS.map((key) => {
+        const value = row[key];
+
+        return [
+          key,
+          typeof value === "number"
+            ? Number(
+                (COLUMNS[key] ? fromCelsius(value, unit) : value).toFixed(2),
+              )
+            : value,
+        ];
+      }),
+    ),
+  );
+
+  if (format === "json") {
+    return JSON.stringify(records, null, 2);
+  }
+
+  return [
+    ROW_FIELDS.join(","),
+    ...records.map((record) => ROW_FIELDS.map((key) => record[key]).join(",")),
+  ].join("\n");
+}
+
+/**
+ * Format a solved reading as a sentence.
+ * @param {Row} row
+ * @param {import('./units.js').TemperatureUnit} unit
+ * @returns {string}
+ */
+function formatPlain(row, unit) {
+  if (row.noSolution) {
+    return "No solution exists for these conditions.";
+  }
+
+  const notes = [
+    row.outOfDomain && "outside the valid range of the formula",
+    row.clamped && "clamped to the nearest achievable value",
+    row.ambiguous && "other humidities give the same wet bulb temperature",
+  ].filter(Boolean);
+
+  return (
+    `Wet bulb ${formatTemperature(row.wetBulb, unit)} (${row.label}) at ` +
+    `${formatTemperature(row.temp, unit)} and ${row.rh.toFixed(0)}% RH, ` +
+    `dew point ${formatTemperature(row.dewPoint, unit)}` +
+    (notes.length ? ` [${notes.join(", ")}]` : "")
+  );
+}
+
+/**
+ * Parse the command-line options.
+ * @param {string[]} args
+ * @returns {{
+ *   options: CliOptions,
+ *   reading: import('./wet-bulb-calculator.js').KnownConditions | null,
+ *   help: boolean,
+ * }} The options and the reading given as arguments, if any.
+ */
+export function parseOptions(args) {
+  const { values, positionals } = parseArgs({
+    args,
+    allowPositionals: true,
+    options: {
+      temp: { type: "string", short: "t" },
+      rh: { type: "string", short: "r" },
+      "wet-bulb": { type: "string", short: "w" },
+      "dew-point": { type: "string", short: "d" },
+      unit: { type: "string", short: "u", default: "C" },
+      formula: { type: "string", default: "stull" },
+      pressure: { type: "string" },
+      scheme: { type: "string", default: "penn-state-2022" },
+      thresholds: { type: "string" },
+      profile: { type: "string", default: "healthy-adult" },
+      format: { type: "string", short: "f", default: "plain" },
+      help: { type: "boolean", short: "h", default: false },
+    },
+  });
+
+  const { unit, formula, scheme, profile, format } = values;
+
+  if (!isTemperatureUnit(unit)) {
+    throw new Error(`Unknown unit "${unit}"`);
+  }
+  if (formula !== "stull" && formula !== "psychrometric") {
+    throw new Error(`Unknown formula "${formula}"`);
+  }
+  if (!Object.hasOwn(wetBulbCalculator.thresholdSchemes, scheme)) {
+    throw new Error(`Unknown threshold scheme "${scheme}"`);
+  }
+  if (!Object.hasOwn(wetBulbCalculator.vulnerabilityProfiles, profile)) {
+    throw new Error(`Unknown vulnerability profile "${profile}"`);
+  }
+  if (format !== "plain" && format !== "json" && format !== "csv") {
+    throw new Error(`Unknown format "${format}"`);
+  }
+
+  /** @type {import('./wet-bulb-calculator.js').CalculationOptions} */
+  const calculation = { formula };
+  if (values.pressure !== undefined) {
+    calculation.pressure = parseNumber(values.pressure, "pressure");
+  }
+
+  const thresholds =
+    values.thresholds === undefined
+      ? wetBulbCalculator.thresholdSchemes[scheme].thresholds
+      : values.thresholds
+          .split(",")
+          .map((value) => toCelsius(parseNumber(value, "threshold"), unit));
+  if (!wetBulbCalculator.isValidThresholds(thresholds)) {
+    throw new Error("Thresholds must be 4 numbers in ascending order");
+  }
+
+  /** @type {import('./wet-bulb-calculator.js').KnownConditions} */
+  const known = {};
+  const given = {
+    temp: values.temp ?? positionals[0],
+    rh: values.rh ?? positionals[1],
+    wetBulb: values["wet-bulb"],
+    dewPoint: values["dew-point"],
+  };
+  for (const [column, value] of Object.entries(given)) {
+    if (value !== undefined) {
+      const number = parseNumber(value, column);
+      known[column] = COLUMNS[column] ? toCelsius(number, unit) : number;
+    }
+  }
+
+  return {
+    options: {
+      calculation,
+      danger: {
+        thresholds,
+        profile:
+          /** @type {import('./wet-bulb-calculator.js').VulnerabilityProfileName} */ (
+            profile
+          ),
+      },
+      unit,
+      format,
+    },
+    reading: Object.keys(known).length > 0 ? known : null,
+    help: values.help,
+  };
+}
+
+/**
+ * Parse a number from an argument.
+ * @param {string} value
+ * @param {string} name Name of the argument, for the error message.
+ * @returns {number}
+ */
+function parseNumber(value, name) {
+  const number = Number(value);
+
+  if (value.trim() === "" || isNaN(number)) {
+    throw new Error(`Invalid ${name} "${value}"`);
+  }
+
+  return number;
+}
+
+/**
+ * Read all of stdin.
+ * @returns {Promise<string>}
+ */
+async function readStdin() {
+  let text = "";
+
+  process.stdin.setEncoding("utf8");
+  for await (const chunk of process.stdin) {
+    text += chunk;
+  }
+
+  return text;
+}
+
+/**
+ * Run the command-line interface.
+ * @param {string[]} args Command-line arguments, without the node executable
+ * and script.
+ */
+export async function main(args) {
+  try {
+    const { options, reading, help } = parseOptions(args);
+
+    if (help || (!reading && process.stdin.isTTY)) {
+      console.log(USAGE);
+      return;
+    }
+
+    const readings = reading
+      ? [reading]
+      : parseReadings(await readStdin(), options.unit);
+
+    console.log(formatRows(evaluate(readings, options), options));
+  } catch (error) {
+    console.error(`wet-bulb: ${error.message}`);
+    process.exitCode = 1;
+  }
+}
+
+// Run when executed directly, including through a symlink such as the one
+// npm creates for the command.
+if (
+  process.argv[1] &&
+  realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)
+) {
+  main(process.argv.slice(2));
+}
@@ -1,7 +1,19 @@
 import Chart from "chart.js/auto";
 import annotationPlugin from "chartjs-plugin-annotation";
 import zoomPlugin from "chartjs-plugin-zoom";
-import { wetBulbCalculator } from "./wet-bulb-calculator.js";
+import {
+  SEA_LEVEL_PRESSURE,
+  wetBulbCalculator,
+} from "./wet-bulb-calculator.js";
+import {
+  formatTemperature,
+  formatTemperatureDifference,
+  fromCelsius,
+  isTemperatureUnit,
+  temperatureSuffix,
+  temperatureUnits,
+  toCelsius,
+} from "./units.js";
 
 // Register Chart.js plugins.
 Chart.register(annotationPlugin);
@@ -14,10 +26,99 @@ const state = {
   wetBulbTemp: 20,
   airTemp: 30,
   humidity: 50,
+  dewPoint: 15,
+  pressure: SEA_LEVEL_PRESSURE,
+  solarPreset: "sunny",
+  solarRadiation: 900,
+  windSpeed: 1,
   /** @type {import('chart.js').Chart | null} */
   chart: null,
+  chartMinTemp: 0,
+  chartMaxY: 100,
+  /** @type {ChartView} */
+  chartView: "conditions",
+  /** @type {import('./wet-bulb-calculator.js').WetBulbFormula} */
+  formula: "stull",
+  /** @type {import('./wet-bulb-calculator.js').ThresholdSchemeName} */
+  scheme: "penn-state-2022",
+  /** @type {import('./wet-bulb-calculator.js').Thresholds} */
+  customThresholds: [19, 25, 28, 31],
+  /** @type {import('./wet-bulb-calculator.js').VulnerabilityProfileName} */
+  profile: "healthy-adult",
+  /** @type {import('./units.js').TemperatureUnit} */
+  unit: "C",
+  /** @type {import('./wet-bulb-calculator.js').ThresholdDistance | null} */
+  thresholdDistance: null,
+  tempUncertainty: 0,
+  rhUncertainty: 0,
+  /** @type {import('./wet-bulb-calculator.js').WetBulbUncertainty | null} */
+  wetBulbUncertainty: null,
   showLabels: true,
   showGrid: true,
+  showHeatmap: false,
+  showHoverIsotherm: true,
+};
+
+/**
+ * Calculation modes, with their name in the URL, the input panels and fields
+ * they show and the values they take from the URL.
+ * @type {Record<string, { urlName: string, panels: string[], inputs: string[] }>}
+ */
+const modes = {
+  "wetbulb-input": {
+    urlName: "wetbulb",
+    panels: ["wetbulbInputPanel"],
+    inputs: ["wetbulb"],
+  },
+  "temp-humidity-input": {
+    urlName: "temp-humidity",
+    panels: ["tempHumidityInputPanel", "humidityItem"],
+    inputs: ["temp", "humidity"],
+  },
+  "temp-dewpoint-input": {
+    urlName: "temp-dewpoint",
+    panels: ["tempHumidityInputPanel", "dewPointItem"],
+    inputs: ["temp", "dewpoint"],
+  },
+  "wetbulb-humidity-input": {
+    urlName: "wetbulb-humidity",
+    panels: ["wetbulbInputPanel", "wetbulbHumidityInputPanel"],
+    inputs: ["wetbulb", "humidity"],
+  },
+  "wbgt-input": {
+    urlName: "wbgt",
+    panels: ["tempHumidityInputPanel", "humidityItem", "wbgtInputPanel"],
+    inputs: ["temp", "humidity"],
+  },
+};
+
+/**
+ * @typedef {"conditions" | "psychrometric" | "formula-error"} ChartView
+ */
+
+/**
+ * @typedef {import('chart.js').Point & { rh?: number, wetBulb?: number }} ChartPoint
+ * A point on the chart, with its relative humidity when the y axis shows the
+ * mixing ratio, and the wet bulb temperature of the curve it is on.
+ */
+
+/**
+ * Views of the chart, with their names in the URL and their titles.
+ * @type {Record<ChartView, { urlName: string, title: string }>}
+ */
+const chartViews = {
+  conditions: {
+    urlName: "conditions",
+    title: "Temperature vs Humidity: Human Survivability Limits",
+  },
+  psychrometric: {
+    urlName: "psychrometric",
+    title: "Psychrometric Chart: Human Survivability Limits",
+  },
+  "formula-error": {
+    urlName: "formula-error",
+    title: "Stull Approximation Error vs Exact Psychrometric Solution",
+  },
 };
 
 // DOM Elements.
@@ -28,6 +129,10 @@ const elements = {
   // Input panels.
   wetbulbInputPanel: document.getElementById("wetbulb-input-panel"),
   tempHumidityInputPanel: document.getElementById("temp-humidity-input-panel"),
+  wetbulbHumidityInputPanel: document.getElementById(
+    "wetbulb-humidity-input-panel",
+  ),
+  wbgtInputPanel: document.getElementById("wbgt-input-panel"),
 
   // Wet bulb inputs.
   wetbulbSlider: /** @type {HTMLInputElement} */ (
@@ -50,18 +155,139 @@ const elements = {
   humidityInput: /** @type {HTMLInputElement} */ (
     document.getElementById("humidity-input")
   ),
+  humidityItem: document.getElementById("humidity-item"),
+
+  // Temperature & dew point inputs.
+  dewPointItem: document.getElementById("dew-point-item"),
+  dewPointSlider: /** @type {HTMLInputElement} */ (
+    document.getElementById("dewpoint-slider")
+  ),
+  dewPointInput: /** @type {HTMLInputElement} */ (
+    document.getElementById("dewpoint-input")
+  ),
+  derivedHumidity: document.getElementById("derived-humidity"),
+
+  // Wet bulb & humidity inputs.
+  targetHumiditySlider: /** @type {HTMLInputElement} */ (
+    document.getElementById("target-humidity-slider")
+  ),
+  targetHumidityInput: /** @type {HTMLInputElement} */ (
+    document.getElementById("target-humidity-input")
+  ),
+
+  // WBGT inputs.
+  solarPresetSelect: /** @type {HTMLSelectElement} */ (
+    document.getElementById("solar-preset-select")
+  ),
+  solarSlider: /** @type {HTMLInputElement} */ (
+    document.getElementById("solar-slider")
+  ),
+  solarInput: /** @type {HTMLInputElement} */ (
+    document.getElementById("solar-input")
+  ),
+  windSlider: /** @type {HTMLInputElement} */ (
+    document.getElementById("wind-slider")
+  ),
+  windInput: /** @type {HTMLInputElement} */ (
+    document.getElementById("wind-input")
+  ),
+
+  // Temperature unit.
+  unitSelect: /** @type {HTMLSelectElement} */ (
+    document.getElementById("unit-select")
+  ),
+  temperatureUnitLabels: document.querySelectorAll(".temperature-unit"),
+  temperatureSuffixes: document.querySelectorAll(".temperature-suffix"),
+
+  // Station pressure inputs.
+  elevationInput: /** @type {HTMLInputElement} */ (
+    document.getElementById("elevation-input")
+  ),
+  pressureInput: /** @type {HTMLInputElement} */ (
+    document.getElementById("pressure-input")
+  ),
+  pressureNote: document.getElementById("pressure-note"),
+
+  // Calculation settings.
+  formulaSelect: /** @type {HTMLSelectElement} */ (
+    document.getElementById("formula-select")
+  ),
+  domainNote: document.getElementById("domain-note"),
+  tempUncertaintyInput: /** @type {HTMLInputElement} */ (
+    document.getElementById("temp-uncertainty-input")
+  ),
+  rhUncertaintyInput: /** @type {HTMLInputElement} */ (
+    document.getElementById("rh-uncertainty-input")
+  ),
+  schemeSelect: /** @type {HTMLSelectElement} */ (
+    document.getElementById("scheme-select")
+  ),
+  customThresholds: document.getElementById("custom-thresholds"),
+  profileSelect: /** @type {HTMLSelectElement} */ (
+    document.getElementById("profile-select")
+  ),
+  thresholdInputs: /** @type {NodeListOf<HTMLInputElement>} */ (
+    document.querySelectorAll(".threshold-input")
+  ),
+  riskRanges: /** @type {NodeListOf<HTMLElement>} */ (
+    document.querySelectorAll(".risk-range")
+  ),
 
   // Results.
   calculatedWetbulb: document.getElementById("calculated-value"),
+  resultNotice: document.getElementById("result-notice"),
+  wetbulbError: document.getElementById("wetbulb-error"),
+  uncertaintyResult: document.getElementById("uncertainty-result"),
+  wetbulbInterval: document.getElementById("wetbulb-interval"),
+  levelProbabilities: document.getElementById("level-probabilities"),
   calculatedDanger: document.getElementById("calculated-danger"),
+  thresholdDistance: document.getElementById("threshold-distance"),
+  frostPointItem: document.getElementById("frost-point-item"),
+  detailValues: /** @type {NodeListOf<HTMLElement>} */ (
+    document.querySelectorAll("[data-detail]")
+  ),
+
+  calculatedAirTemp: document.getElementById("calculated-air-temp-value"),
+  airTempNotice: document.getElementById("air-temp-notice"),
+  airTempError: document.getElementById("air-temp-error"),
+
+  calculatedWbgt: document.getElementById("calculated-wbgt-value"),
+  wbgtFlag: document.getElementById("wbgt-flag"),
+  wbgtGuidance: document.getElementById("wbgt-guidance"),
+  naturalWetBulb: document.getElementById("natural-wetbulb-value"),
+  globeTemp: document.getElementById("globe-temp-value"),
+
+  // Index comparison.
+  indexComparison: document.getElementById("index-comparison"),
+  comparisonItems: /** @type {NodeListOf<HTMLElement>} */ (
+    document.querySelectorAll(".comparison-item")
+  ),
+
+  // Sensitivity.
+  sensitivity: document.getElementById("sensitivity"),
+  sensitivityTemp: document.getElementById("sensitivity-temp"),
+  sensitivityRh: document.getElementById("sensitivity-rh"),
 
   // Chart.
   chartCanvas: /** @type {HTMLCanvasElement} */ (
     document.getElementById("wetbulb-chart")
   ),
+  chartViewSelect: /** @type {HTMLSelectElement} */ (
+    document.getElementById("chart-view")
+  ),
   resetZoomBtn: document.getElementById("reset-zoom"),
   toggleLabelsBtn: document.getElementById("toggle-labels"),
   toggleGridBtn: document.getElementById("toggle-grid"),
+  toggleHeatmapBtn: document.getElementById("toggle-heatmap"),
+  toggleHoverIsothermBtn: document.getElementById("toggle-hover-isotherm"),
+  wetBulbHeatmapKey: document.getElementById("wet-bulb-heatmap-key"),
+  wetBulbHeatmapBar: document.getElementById("wet-bulb-heatmap-bar"),
+  wetBulbHeatmapTicks: document.getElementById("wet-bulb-heatmap-ticks"),
+  formulaErrorKey: document.getElementById("formula-error-key"),
+  formulaErrorBar: document.getElementById("formula-error-bar"),
+  formulaErrorTicks: document.getElementById("formula-error-ticks"),
+  formulaErrorLimit: document.getElementById("formula-error-limit"),
+  formulaErrorContours: document.getElementById("formula-error-contours"),
 
   // Warning message.
   warningMessage: document.getElementById("warning-message"),
@@ -69,43 +295,228 @@ const elements = {
   warningText: document.querySelector(".warning-text"),
 };
 
+/**
+ * Temperature slider/input pairs with their ranges in Celsius, keyed by the
+ * state they hold. The minimum is further limited to the domain of the
+ * selected formula.
+ */
+const temperatureInputs = {
+  wetBulbTemp: {
+    slider: elements.wetbulbSlider,
+    input: elements.wetbulbInput,
+    min: -40,
+    max: 40,
+  },
+  airTemp: {
+    slider: elements.tempSlider,
+    input: elements.tempInput,
+    min: -40,
+    max: 50,
+  },
+  dewPoint: {
+    slider: elements.dewPointSlider,
+    input: elements.dewPointInput,
+    min: -40,
+    max: 50,
+  },
+};
+
+/** Local storage key for the preferred temperature unit. */
+const UNIT_STORAGE_KEY = "wetbulb-unit";
+
+/**
+ * Convert a temperature in Celsius to the selected unit, rounded for inputs.
+ * @param {number} celsius
+ * @returns {number}
+ */
+function displayTemperature(celsius) {
+  return Number(fromCelsius(celsius, state.unit).toFixed(1));
+}
+
+/**
+ * Convert a temperature difference in Celsius to the selected unit, rounded
+ * for inputs. Only the scale of the unit applies.
+ * @param {number} celsius
+ * @returns {number}
+ */
+function displayTemperatureDifference(celsius) {
+  return Number((celsius * temperatureUnits[state.unit].scale).toFixed(2));
+}
+
+/**
+ * Format a danger threshold in the selected unit, without trailing zeros.
+ * @param {number} celsius
+ * @returns {string}
+ */
+function formatThreshold(celsius) {
+  const digits = Number.isInteger(displayTemperature(celsius)) ? 0 : 1;
+  return formatTemperature(celsius, state.unit, digits);
+}
+
 // URL parameter handling.
 function loadStateFromURL() {
   const params = new URLSearchParams(window.location.search);
 
+  // Load temperature unit, falling back to the stored preference. Every
+  // temperature in the URL is in this unit.
+  const unit = params.get("unit") ?? loadStoredUnit();
+  if (isTemperatureUnit(unit)) {
+    state.unit = unit;
+  }
+
   // Load mode.
-  const mode = params.get("mode");
-  if (mode === "wetbulb" || mode === "temp-humidity") {
-    state.mode = mode === "wetbulb" ? "wetbulb-input" : "temp-humidity-input";
+  const modeName = params.get("mode");
+  const mode = Object.keys(modes).find(
+    (key) => modes[key].urlName === modeName,
+  );
+  if (mode) {
+    state.mode = mode;
   }
 
-  // Load values based on mode.
-  if (state.mode === "wetbulb-input") {
-    const wetbulb = params.get("wetbulb");
-    if (wetbulb !== null) {
-      const value = parseFloat(wetbulb);
-      if (!isNaN(value)) {
-        state.wetBulbTemp = Math.max(0, Math.min(40, value));
-      }
+  // Load chart view.
+  const viewName = params.get("view");
+  const view = Object.keys(chartViews).find(
+    (key) => chartViews[key].urlName === viewName,
+  );
+  if (view) {
+    state.chartView = /** @type {ChartView} */ (view);
+  }
+
+  // Load formula.
+  const formula = params.get("formula");
+  if (formula === "stull" || formula === "psychrometric") {
+    state.formula = formula;
+  }
+
+  // Load values based on mode, within the domain of the formula.
+  const { minTemp } = wetBulbCalculator.formulas[state.formula].domain;
+  const { inputs } = modes[state.mode];
+
+  const wetbulb = params.get("wetbulb");
+  if (inputs.includes("wetbulb") && wetbulb !== null) {
+    const value = parseFloat(wetbulb);
+    if (!isNaN(value)) {
+      state.wetBulbTemp = Math.max(
+        minTemp,
+        Math.min(40, toCelsius(value, state.unit)),
+      );
     }
-  } else {
-    const temp = params.get("temp");
-    const humidity = params.get("humidity");
+  }
+
+  const temp = params.get("temp");
+  if (inputs.includes("temp") && temp !== null) {
+    const value = parseFloat(temp);
+    if (!isNaN(value)) {
+      state.airTemp = Math.max(
+        minTemp,
+        Math.min(50, toCelsius(value, state.unit)),
+      );
+    }
+  }
+
+  const dewpoint = params.get("dewpoint");
+  if (inputs.includes("dewpoint") && dewpoint !== null) {
+    const value = parseFloat(dewpoint);
+    if (!isNaN(value)) {
+      state.dewPoint = Math.max(
+        minTemp,
+        Math.min(50, toCelsius(value, state.unit)),
+      );
+    }
+  }
+
+  const humidity = params.get("humidity");
+  if (inputs.includes("humidity") && humidity !== null) {
+    const value = parseFloat(humidity);
+    if (!isNaN(value)) {
+      state.humidity = Math.max(5, Math.min(100, value));
+    }
+  }
 
-    if (temp !== null) {
-      const value = parseFloat(temp);
+  // Load sun and wind for WBGT.
+  if (state.mode === "wbgt-input") {
+    const sun = params.get("sun");
+    const solar = params.get("solar");
+    const wind = params.get("wind");
+
+    if (Object.hasOwn(wetBulbCalculator.wbgtSolarPresets, sun)) {
+      state.solarPreset = sun;
+      state.solarRadiation =
+        wetBulbCalculator.wbgtSolarPresets[sun].solarRadiation;
+    } else if (solar !== null) {
+      const value = parseFloat(solar);
       if (!isNaN(value)) {
-        state.airTemp = Math.max(0, Math.min(50, value));
+        state.solarPreset = "custom";
+        state.solarRadiation = Math.max(0, Math.min(1200, value));
       }
     }
 
-    if (humidity !== null) {
-      const value = parseFloat(humidity);
+    if (wind !== null) {
+      const value = parseFloat(wind);
       if (!isNaN(value)) {
-        state.humidity = Math.max(5, Math.min(100, value));
+        state.windSpeed = Math.max(0, Math.min(10, value));
       }
     }
   }
+
+  // Load threshold scheme.
+  const scheme = params.get("scheme");
+  if (Object.hasOwn(wetBulbCalculator.thresholdSchemes, scheme)) {
+    state.scheme =
+      /** @type {import('./wet-bulb-calculator.js').ThresholdSchemeName} */ (
+        scheme
+      );
+  }
+
+  // Load vulnerability profile.
+  const profile = params.get("profile");
+  if (Object.hasOwn(wetBulbCalculator.vulnerabilityProfiles, profile)) {
+    state.profile =
+      /** @type {import('./wet-bulb-calculator.js').VulnerabilityProfileName} */ (
+        profile
+      );
+  }
+
+  const thresholds = params.get("thresholds");
+  if (state.scheme === "custom" && thresholds !== null) {
+    const values = thresholds
+      .split(",")
+      .map((value) => toCelsius(parseFloat(value), state.unit));
+    if (wetBulbCalculator.isValidThresholds(values)) {
+      state.customThresholds = values;
+    }
+  }
+
+  // Load sensor uncertainties. The temperature uncertainty is a difference,
+  // so only the scale of the unit applies.
+  const tempUncertainty = parseFloat(params.get("temp-uncertainty"));
+  if (tempUncertainty >= 0) {
+    state.tempUncertainty = Math.min(
+      10,
+      tempUncertainty / temperatureUnits[state.unit].scale,
+    );
+  }
+  const rhUncertainty = parseFloat(params.get("rh-uncertainty"));
+  if (rhUncertainty >= 0) {
+    state.rhUncertainty = Math.min(50, rhUncertainty);
+  }
+
+  // Load station pressure, either directly or from an elevation.
+  const pressure = params.get("pressure");
+  const elevation = params.get("elevation");
+  if (pressure !== null) {
+    const value = parseFloat(pressure);
+    if (!isNaN(value)) {
+      state.pressure = Math.max(300, Math.min(1100, value));
+    }
+  } else if (elevation !== null) {
+    const value = parseFloat(elevation);
+    if (!isNaN(value)) {
+      state.pressure = wetBulbCalculator.calculatePressureFromElevation(
+        Math.max(-500, Math.min(9000, value)),
+      );
+    }
+  }
 }
 
 // Update URL without adding to history.
@@ -113,24 +524,101 @@ function updateURL() {
   const params = new URLSearchParams();
 
   // Add mode.
-  params.set(
-    "mode",
-    state.mode === "wetbulb-input" ? "wetbulb" : "temp-humidity",
-  );
-
-  // Add values based on mode.
-  if (state.mode === "wetbulb-input") {
-    params.set("wetbulb", state.wetBulbTemp.toFixed(1));
-  } else {
-    params.set("temp", state.airTemp.toFixed(1));
+  params.set("mode", modes[state.mode].urlName);
+
+  // Add values based on mode, with temperatures in the selected unit.
+  params.set("unit", state.unit);
+  const { inputs } = modes[state.mode];
+  if (inputs.includes("wetbulb")) {
+    params.set(
+      "wetbulb",
+      fromCelsius(state.wetBulbTemp, state.unit).toFixed(1),
+    );
+  }
+  if (inputs.includes("temp")) {
+    params.set("temp", fromCelsius(state.airTemp, state.unit).toFixed(1));
+  }
+  if (inputs.includes("humidity")) {
     params.set("humidity", state.humidity.toFixed(0));
   }
+  if (inputs.includes("dewpoint")) {
+    params.set("dewpoint", fromCelsius(state.dewPoint, state.unit).toFixed(1));
+  }
+
+  // Add sun and wind for WBGT.
+  if (state.mode === "wbgt-input") {
+    if (state.solarPreset === "custom") {
+      params.set("solar", state.solarRadiation.toFixed(0));
+    } else {
+      params.set("sun", state.solarPreset);
+    }
+    params.set("wind", state.windSpeed.toFixed(1));
+  }
+
+  // Add formula.
+  params.set("formula", state.formula);
+
+  // Add sensor uncertainties, only if given.
+  if (state.tempUncertainty > 0) {
+    params.set(
+      "temp-uncertainty",
+      String(displayTemperatureDifference(state.tempUncertainty)),
+    );
+  }
+  if (state.rhUncertainty > 0) {
+    params.set("rh-uncertainty", String(state.rhUncertainty));
+  }
+
+  // Add threshold scheme.
+  params.set("scheme", state.scheme);
+  if (state.scheme === "custom") {
+    params.set(
+      "thresholds",
+      state.customThresholds.map(displayTemperature).join(","),
+    );
+  }
+  params.set("profile", state.profile);
+
+  // Add chart view, only if it isn't the default to keep URLs short.
+  if (state.chartView !== "conditions") {
+    params.set("view", chartViews[state.chartView].urlName);
+  }
+
+  // Add station pressure, only if it differs from sea level to keep URLs short.
+  if (state.pressure !== SEA_LEVEL_PRESSURE) {
+    params.set("pressure", state.pressure.toFixed(1));
+  }
 
   // Update URL without adding to history.
   const newURL = `${window.location.pathname}?${params.toString()}`;
   window.history.replaceState(null, "", newURL);
 }
 
+/**
+ * Load the preferred temperature unit from local storage.
+ * @returns {string | null}
+ */
+function loadStoredUnit() {
+  try {
+    return localStorage.getItem(UNIT_STORAGE_KEY);
+  } catch {
+    // Storage can be unavailable, e.g. in private browsing.
+    return null;
+  }
+}
+
+/**
+ * Remember the preferred temperature unit in local storage.
+ * @param {import('./units.js').TemperatureUnit} unit
+ */
+function storeUnit(unit) {
+  try {
+    localStorage.setItem(UNIT_STORAGE_KEY, unit);
+  } catch {
+    // Storage can be unavailable, e.g. in private browsing.
+  }
+}
+
 // Initialize the application.
 function init() {
   loadStateFromURL();
@@ -151,27 +639,134 @@ function updateUI() {
   });
 
   // Update panels.
-  if (state.mode === "wetbulb-input") {
-    elements.wetbulbInputPanel.style.display = "";
-    elements.tempHumidityInputPanel.style.display = "none";
-
-    // Update wet bulb inputs.
-    elements.wetbulbSlider.value = String(state.wetBulbTemp);
-    elements.wetbulbInput.value = String(state.wetBulbTemp);
-    elements.wetbulbSlider.setAttribute(
-      "aria-valuenow",
-      String(state.wetBulbTemp),
-    );
-  } else {
-    elements.wetbulbInputPanel.style.display = "none";
-    elements.tempHumidityInputPanel.style.display = "";
+  updatePanels();
 
-    // Update temp & humidity inputs.
-    elements.tempSlider.value = String(state.airTemp);
-    elements.tempInput.value = String(state.airTemp);
-    elements.humiditySlider.value = String(state.humidity);
-    elements.humidityInput.value = String(state.humidity);
-  }
+  // Update temperature units and ranges.
+  elements.unitSelect.value = state.unit;
+  updateTemperatureInputs();
+
+  // Update the inputs of every mode, so hidden panels follow the unit too.
+  updateConditionInputs();
+
+  // Update WBGT inputs.
+  elements.solarPresetSelect.value = state.solarPreset;
+  elements.solarSlider.value = String(state.solarRadiation);
+  elements.solarInput.value = String(state.solarRadiation);
+  elements.windSlider.value = String(state.windSpeed);
+  elements.windInput.value = String(state.windSpeed);
+
+  // Update station pressure inputs.
+  updatePressureInputs();
+
+  // Update calculation settings.
+  elements.formulaSelect.value = state.formula;
+  elements.tempUncertaintyInput.value = String(
+    displayTemperatureDifference(state.tempUncertainty),
+  );
+  elements.rhUncertaintyInput.value = String(state.rhUncertainty);
+  elements.schemeSelect.value = state.scheme;
+  elements.profileSelect.value = state.profile;
+  updateThresholdInputs();
+  updateRiskCards();
+
+  // Update chart view.
+  elements.chartViewSelect.value = state.chartView;
+  updateFormulaErrorKey();
+  updateWetBulbHeatmapKey();
+}
+
+/** Show the conditions in the inputs of every mode. */
+function updateConditionInputs() {
+  // Update wet bulb inputs.
+  const wetBulbTemp = String(displayTemperature(state.wetBulbTemp));
+  elements.wetbulbSlider.value = wetBulbTemp;
+  elements.wetbulbInput.value = wetBulbTemp;
+  elements.wetbulbSlider.setAttribute("aria-valuenow", wetBulbTemp);
+
+  // Update temp & humidity inputs.
+  const airTemp = String(displayTemperature(state.airTemp));
+  elements.tempSlider.value = airTemp;
+  elements.tempInput.value = airTemp;
+  // Humidity derived from the dew point isn't a whole number.
+  const humidity = String(Math.round(state.humidity));
+  elements.humiditySlider.value = humidity;
+  elements.humidityInput.value = humidity;
+  elements.targetHumiditySlider.value = humidity;
+  elements.targetHumidityInput.value = humidity;
+
+  // Update dew point inputs.
+  const dewPoint = String(displayTemperature(state.dewPoint));
+  elements.dewPointSlider.value = dewPoint;
+  elements.dewPointInput.value = dewPoint;
+}
+
+/** Show the temperature unit and ranges in the selected unit. */
+function updateTemperatureInputs() {
+  const { symbol, sliderStep } = temperatureUnits[state.unit];
+
+  elements.temperatureUnitLabels.forEach((label) => {
+    label.textContent = symbol;
+  });
+  elements.temperatureSuffixes.forEach((suffix) => {
+    suffix.textContent = temperatureSuffix(state.unit);
+  });
+
+  const { minTemp } = wetBulbCalculator.formulas[state.formula].domain;
+
+  Object.values(temperatureInputs).forEach(({ slider, input, min, max }) => {
+    const displayMin = String(displayTemperature(Math.max(min, minTemp)));
+    const displayMax = String(displayTemperature(max));
+
+    slider.min = displayMin;
+    slider.max = displayMax;
+    slider.step = String(sliderStep);
+    slider.setAttribute("aria-valuemin", displayMin);
+    slider.setAttribute("aria-valuemax", displayMax);
+    input.min = displayMin;
+    input.max = displayMax;
+  });
+
+  elements.thresholdInputs.forEach((input) => {
+    input.min = String(displayTemperature(0));
+    input.max = String(displayTemperature(40));
+    input.step = String(sliderStep);
+  });
+}
+
+/** Show the input panels for the current mode and hide the rest. */
+function updatePanels() {
+  const visiblePanels = modes[state.mode].panels;
+  const allPanels = new Set(Object.values(modes).flatMap((m) => m.panels));
+
+  allPanels.forEach((panel) => {
+    elements[panel].style.display = visiblePanels.includes(panel) ? "" : "none";
+  });
+}
+
+/**
+ * Get the danger thresholds of the selected scheme.
+ * @returns {import('./wet-bulb-calculator.js').Thresholds}
+ */
+function getThresholds() {
+  return state.scheme === "custom"
+    ? state.customThresholds
+    : wetBulbCalculator.thresholdSchemes[state.scheme].thresholds;
+}
+
+/**
+ * Get the danger level options for the current state.
+ * @returns {import('./wet-bulb-calculator.js').DangerOptions}
+ */
+function getDangerOptions() {
+  return { thresholds: getThresholds(), profile: state.profile };
+}
+
+/**
+ * Get the calculator options for the current state.
+ * @returns {import('./wet-bulb-calculator.js').CalculationOptions}
+ */
+function getCalculationOptions() {
+  return { formula: state.formula, pressure: state.pressure };
 }
 
 // Set up event listeners.
@@ -183,20 +778,16 @@ function setupEventListeners() {
 
   // Wet bulb inputs.
   setSliderInputEventHandlers({
-    slider: elements.wetbulbSlider,
-    input: elements.wetbulbInput,
-    min: 0,
-    max: 40,
+    ...temperatureInputs.wetBulbTemp,
     stateKey: "wetBulbTemp",
+    temperature: true,
   });
 
   // Temperature & humidity inputs.
   setSliderInputEventHandlers({
-    slider: elements.tempSlider,
-    input: elements.tempInput,
-    min: 0,
-    max: 50,
+    ...temperatureInputs.airTemp,
     stateKey: "airTemp",
+    temperature: true,
   });
 
   setSliderInputEventHandlers({
@@ -207,10 +798,91 @@ function setupEventListeners() {
     stateKey: "humidity",
   });
 
+  // Dew point inputs.
+  setSliderInputEventHandlers({
+    ...temperatureInputs.dewPoint,
+    stateKey: "dewPoint",
+    temperature: true,
+  });
+
+  // Wet bulb & humidity inputs. The wet bulb temperature shares its inputs
+  // with the wet bulb mode.
+  setSliderInputEventHandlers({
+    slider: elements.targetHumiditySlider,
+    input: elements.targetHumidityInput,
+    min: 5,
+    max: 100,
+    stateKey: "humidity",
+  });
+
+  // WBGT inputs.
+  elements.solarPresetSelect.addEventListener("change", handleSolarPreset);
+
+  setSliderInputEventHandlers({
+    slider: elements.solarSlider,
+    input: elements.solarInput,
+    min: 0,
+    max: 1200,
+    stateKey: "solarRadiation",
+    onChange: () => {
+      // Manually adjusted radiation no longer matches a preset.
+      state.solarPreset = "custom";
+      elements.solarPresetSelect.value = "custom";
+    },
+  });
+
+  setSliderInputEventHandlers({
+    slider: elements.windSlider,
+    input: elements.windInput,
+    min: 0,
+    max: 10,
+    stateKey: "windSpeed",
+  });
+
+  // Station pressure inputs.
+  elements.elevationInput.addEventListener("input", handlePressureInput);
+  elements.pressureInput.addEventListener("input", handlePressureInput);
+  elements.elevationInput.addEventListener("change", handlePressureChange);
+  elements.pressureInput.addEventListener("change", handlePressureChange);
+
+  // Calculation settings.
+  elements.formulaSelect.addEventListener("change", handleFormulaChange);
+  [elements.tempUncertaintyInput, elements.rhUncertaintyInput].forEach(
+    (input) => {
+      input.addEventListener("input", handleUncertaintyInput);
+      input.addEventListener("change", updateURL);
+    },
+  );
+  elements.schemeSelect.addEventListener("change", handleSchemeChange);
+  elements.profileSelect.addEventListener("change", handleProfileChange);
+  elements.unitSelect.addEventListener("change", handleUnitChange);
+  elements.thresholdInputs.forEach((input) => {
+    input.addEventListener("input", handleThresholdInput);
+    input.addEventListener("change", updateURL);
+  });
+
   // Chart controls.
+  elements.chartViewSelect.addEventListener("change", handleChartViewChange);
   elements.resetZoomBtn.addEventListener("click", resetChartZoom);
   elements.toggleLabelsBtn.addEventListener("click", toggleLabels);
   elements.toggleGridBtn.addEventListener("click", toggleGrid);
+  elements.toggleHeatmapBtn.addEventListener("click", toggleHeatmap);
+  elements.toggleHoverIsothermBtn.addEventListener(
+    "click",
+    toggleHoverIsotherm,
+  );
+
+  // Dragging the current condition on the chart.
+  elements.chartCanvas.addEventListener("pointerdown", handleChartPointerDown);
+  elements.chartCanvas.addEventListener("pointermove", handleChartPointerMove);
+  elements.chartCanvas.addEventListener("pointerup", handleChartPointerUp);
+  elements.chartCanvas.addEventListener("pointercancel", handleChartPointerUp);
+
+  // The danger zones are filled for the theme.
+  darkThemeQuery.addEventListener("change", () => {
+    updateIsotherms();
+    updateChart();
+  });
 }
 
 // Mode switching.
@@ -235,63 +907,318 @@ function handleModeSwitch(event) {
     btn.setAttribute("aria-checked", String(isActive));
   });
 
-  // Update panels.
   if (mode === "wetbulb-input") {
-    elements.wetbulbInputPanel.style.display = "block";
-    elements.tempHumidityInputPanel.style.display = "none";
-
     // Update state to current wet bulb slider value.
-    state.wetBulbTemp = parseFloat(elements.wetbulbInput.value);
+    state.wetBulbTemp = toCelsius(
+      parseFloat(elements.wetbulbInput.value),
+      state.unit,
+    );
+  } else if (mode === "wetbulb-humidity-input") {
+    // Update state to current wet bulb/humidity values.
+    state.wetBulbTemp = toCelsius(
+      parseFloat(elements.wetbulbInput.value),
+      state.unit,
+    );
+    state.humidity = parseFloat(elements.targetHumidityInput.value);
+  } else if (mode === "temp-dewpoint-input") {
+    // Update state to current temp/dew point values.
+    state.airTemp = toCelsius(parseFloat(elements.tempInput.value), state.unit);
+    state.dewPoint = toCelsius(
+      parseFloat(elements.dewPointInput.value),
+      state.unit,
+    );
   } else {
-    elements.wetbulbInputPanel.style.display = "none";
-    elements.tempHumidityInputPanel.style.display = "block";
-
     // Update state to current temp/humidity values.
-    state.airTemp = parseFloat(elements.tempInput.value);
+    state.airTemp = toCelsius(parseFloat(elements.tempInput.value), state.unit);
     state.humidity = parseFloat(elements.humidityInput.value);
   }
 
   state.mode = mode;
+  updatePanels();
   updateCalculations();
   updateChart();
   updateURL();
 }
 
-/**
- * @typedef {{
- *   slider: HTMLInputElement,
- *   input: HTMLInputElement,
- *   min: number,
- *   max: number,
- *   stateKey: {
- *     [K in keyof typeof state]-?: typeof state[K] extends number ? K : never
- *   }[keyof typeof state],
- * }} SliderEventConfig
- */
-
-/**
- * Sets an event handler for slider/input pairs.
- * @param {SliderEventConfig} config
- */
-function setSliderInputEventHandlers({ slider, input, min, max, stateKey }) {
-  /** @type {(event: Event) => void} */
-  const handler = ({ target }) => {
-    if (!(target instanceof HTMLInputElement)) {
-      return;
-    }
+/** Switch the formula used for wet bulb calculations. */
+function handleFormulaChange() {
+  const formula = elements.formulaSelect.value;
 
-    const value = parseFloat(target.value);
-    const clamped = Math.max(min, Math.min(max, value));
+  if (formula !== "stull" && formula !== "psychrometric") {
+    return;
+  }
 
-    state[stateKey] = clamped;
+  state.formula = formula;
 
-    if (target === slider) {
-      input.value = String(clamped);
-    } else {
-      slider.value = String(clamped);
-    }
+  // Bring temperatures into the domain of the new formula.
+  const { minTemp } = wetBulbCalculator.formulas[formula].domain;
+  state.wetBulbTemp = Math.max(minTemp, state.wetBulbTemp);
+  state.airTemp = Math.max(minTemp, state.airTemp);
+  state.dewPoint = Math.max(minTemp, state.dewPoint);
 
-    slider.setAttribute("aria-valuenow", String(clamped));
+  updateUI();
+  updateCalculations();
+  updateIsotherms();
+  updateChart();
+  updateURL();
+}
+
+/** Update the sensor uncertainties from their inputs. */
+function handleUncertaintyInput() {
+  const tempUncertainty =
+    parseFloat(elements.tempUncertaintyInput.value) /
+    temperatureUnits[state.unit].scale;
+  const rhUncertainty = parseFloat(elements.rhUncertaintyInput.value);
+  const tempValid = tempUncertainty >= 0;
+  const rhValid = rhUncertainty >= 0;
+
+  elements.tempUncertaintyInput.setAttribute(
+    "aria-invalid",
+    String(!tempValid),
+  );
+  elements.rhUncertaintyInput.setAttribute("aria-invalid", String(!rhValid));
+
+  if (tempValid) {
+    state.tempUncertainty = tempUncertainty;
+  }
+  if (rhValid) {
+    state.rhUncertainty = rhUncertainty;
+  }
+
+  updateCalculations();
+  updateChart();
+}
+
+/** Switch the threshold scheme used for the danger levels. */
+function handleSchemeChange() {
+  const scheme = elements.schemeSelect.value;
+
+  if (!Object.hasOwn(wetBulbCalculator.thresholdSchemes, scheme)) {
+    return;
+  }
+
+  state.scheme =
+    /** @type {import('./wet-bulb-calculator.js').ThresholdSchemeName} */ (
+      scheme
+    );
+  updateThresholdInputs();
+  updateThresholds();
+  updateURL();
+}
+
+/** Switch the unit temperatures are entered and shown in. */
+function handleUnitChange() {
+  const unit = elements.unitSelect.value;
+
+  if (!isTemperatureUnit(unit)) {
+    return;
+  }
+
+  state.unit = unit;
+  storeUnit(unit);
+  updateUI();
+  updateCalculations();
+  updateIsotherms();
+  updateChart();
+  updateURL();
+}
+
+/** Switch the vulnerability profile that shifts the danger thresholds. */
+function handleProfileChange() {
+  const profile = elements.profileSelect.value;
+
+  if (!Object.hasOwn(wetBulbCalculator.vulnerabilityProfiles, profile)) {
+    return;
+  }
+
+  state.profile =
+    /** @type {import('./wet-bulb-calculator.js').VulnerabilityProfileName} */ (
+      profile
+    );
+  updateThresholds();
+  updateURL();
+}
+
+/** Update the custom thresholds from their inputs. */
+function handleThresholdInput() {
+  const values = Array.from(elements.thresholdInputs, (input) =>
+    toCelsius(parseFloat(input.value), state.unit),
+  );
+  const valid = wetBulbCalculator.isValidThresholds(values);
+
+  elements.thresholdInputs.forEach((input) => {
+    input.setAttribute("aria-invalid", String(!valid));
+  });
+
+  // Keep the last valid thresholds until the inputs are in ascending order.
+  if (valid) {
+    state.customThresholds = values;
+    updateThresholds();
+  }
+}
+
+/** Show the custom threshold inputs when the custom scheme is selected. */
+function updateThresholdInputs() {
+  const thresholds = getThresholds();
+
+  elements.customThresholds.style.display =
+    state.scheme === "custom" ? "" : "none";
+  elements.thresholdInputs.forEach((input, i) => {
+    input.value = String(displayTemperature(thresholds[i]));
+    input.removeAttribute("aria-invalid");
+  });
+}
+
+/** Update every view that depends on the danger thresholds. */
+function updateThresholds() {
+  updateRiskCards();
+  updateCalculations();
+  updateIsotherms();
+  updateChart();
+}
+
+/** Update the wet bulb ranges shown on the risk cards. */
+function updateRiskCards() {
+  const levels = wetBulbCalculator.getDangerLevels(getDangerOptions());
+  /** @param {string} level */
+  const minOf = (level) => levels.find((l) => l.level === level)?.min;
+
+  elements.riskRanges.forEach((range) => {
+    const from = minOf(range.dataset.from);
+    const to = minOf(range.dataset.to);
+
+    if (from === undefined) {
+      range.textContent = `< ${formatThreshold(to)}`;
+    } else if (to === undefined) {
+      range.textContent = `> ${formatThreshold(from)}`;
+    } else {
+      range.textContent = `${formatThreshold(from)} - ${formatThreshold(to)}`;
+    }
+  });
+}
+
+/** Apply the selected solar radiation preset for WBGT estimates. */
+function handleSolarPreset() {
+  const preset = elements.solarPresetSelect.value;
+
+  state.solarPreset = preset;
+
+  if (Object.hasOwn(wetBulbCalculator.wbgtSolarPresets, preset)) {
+    state.solarRadiation =
+      wetBulbCalculator.wbgtSolarPresets[preset].solarRadiation;
+    elements.solarSlider.value = String(state.solarRadiation);
+    elements.solarInput.value = String(state.solarRadiation);
+  }
+
+  updateCalculations();
+  updateURL();
+}
+
+/**
+ * Update station pressure from either the elevation or the pressure input.
+ * @param {Event} event
+ */
+function handlePressureInput({ target }) {
+  if (!(target instanceof HTMLInputElement)) {
+    return;
+  }
+
+  const value = parseFloat(target.value);
+
+  if (isNaN(value)) {
+    return;
+  }
+
+  if (target === elements.elevationInput) {
+    const elevation = Math.max(-500, Math.min(9000, value));
+    state.pressure =
+      wetBulbCalculator.calculatePressureFromElevation(elevation);
+    elements.pressureInput.value = state.pressure.toFixed(1);
+  } else {
+    state.pressure = Math.max(300, Math.min(1100, value));
+    elements.elevationInput.value = wetBulbCalculator
+      .calculateElevationFromPressure(state.pressure)
+      .toFixed(0);
+  }
+
+  updateCalculations();
+  updateIsotherms();
+  updateChart();
+}
+
+/** Normalize the station pressure inputs once editing is done. */
+function handlePressureChange() {
+  updatePressureInputs();
+  updateURL();
+}
+
+/** Show the current station pressure and its elevation in the inputs. */
+function updatePressureInputs() {
+  elements.pressureInput.value = state.pressure.toFixed(1);
+  elements.elevationInput.value = wetBulbCalculator
+    .calculateElevationFromPressure(state.pressure)
+    .toFixed(0);
+}
+
+/**
+ * @typedef {{
+ *   slider: HTMLInputElement,
+ *   input: HTMLInputElement,
+ *   min: number,
+ *   max: number,
+ *   stateKey: {
+ *     [K in keyof typeof state]-?: typeof state[K] extends number ? K : never
+ *   }[keyof typeof state],
+ *   onChange?: () => void,
+ *   temperature?: boolean,
+ * }} SliderEventConfig
+ * The `min` and `max` of temperatures are in Celsius, while their slider and
+ * input show the selected unit.
+ */
+
+/**
+ * Sets an event handler for slider/input pairs.
+ * @param {SliderEventConfig} config
+ */
+function setSliderInputEventHandlers({
+  slider,
+  input,
+  min,
+  max,
+  stateKey,
+  onChange,
+  temperature = false,
+}) {
+  /** @param {number} value */
+  const toDisplay = (value) =>
+    temperature ? displayTemperature(value) : value;
+
+  /** @type {(event: Event) => void} */
+  const handler = ({ target }) => {
+    if (!(target instanceof HTMLInputElement)) {
+      return;
+    }
+
+    const value = parseFloat(target.value);
+    // Temperatures are also limited to the domain of the formula.
+    const lower = temperature
+      ? Math.max(min, wetBulbCalculator.formulas[state.formula].domain.minTemp)
+      : min;
+    const clamped = Math.max(
+      lower,
+      Math.min(max, temperature ? toCelsius(value, state.unit) : value),
+    );
+
+    state[stateKey] = clamped;
+
+    if (target === slider) {
+      input.value = String(toDisplay(clamped));
+    } else {
+      slider.value = String(toDisplay(clamped));
+    }
+
+    slider.setAttribute("aria-valuenow", String(toDisplay(clamped)));
+    onChange?.();
     updateCalculations();
     updateChart();
   };
@@ -300,32 +1227,395 @@ function setSliderInputEventHandlers({ slider, input, min, max, stateKey }) {
   input.addEventListener("input", handler);
   slider.addEventListener("change", updateURL);
   input.addEventListener("change", () => {
-    input.value = String(state[stateKey]);
+    input.value = String(toDisplay(state[stateKey]));
     updateURL();
   });
 }
 
 // Update calculations based on current mode.
 function updateCalculations() {
+  // Stull's approximation ignores station pressure, so point that out.
+  elements.pressureNote.style.display =
+    state.formula === "stull" && state.pressure !== SEA_LEVEL_PRESSURE
+      ? ""
+      : "none";
+
+  // Point out the limits of the formula, as temperatures are clamped to them.
+  const { minTemp, maxTemp, minRh, maxRh } =
+    wetBulbCalculator.formulas[state.formula].domain;
+  elements.domainNote.textContent = `Valid from ${formatTemperature(minTemp, state.unit, 0)} to ${formatTemperature(maxTemp, state.unit, 0)} and ${minRh}% to ${maxRh}% relative humidity.`;
+
   if (state.mode === "wetbulb-input") {
     // Update danger indicator.
     updateDangerIndicator(state.wetBulbTemp, elements.calculatedDanger);
     displayWarning(state.wetBulbTemp);
 
+    // The other indices and the distance to the next level need the air
+    // temperature and humidity.
+    elements.indexComparison.style.display = "none";
+    elements.sensitivity.style.display = "none";
+    updateThresholdDistance();
+    hideUncertainty();
+
+    return;
+  }
+
+  if (state.mode === "wetbulb-humidity-input") {
+    // Solve for the air temperature that gives this wet bulb temperature.
+    const result = wetBulbCalculator.findTempForWetBulbAndHumidityResult(
+      state.wetBulbTemp,
+      state.humidity,
+      getCalculationOptions(),
+    );
+    state.airTemp = result.rawValue;
+    elements.calculatedAirTemp.textContent = fromCelsius(
+      result.value,
+      state.unit,
+    ).toFixed(1);
+    updateResultNotice(result, elements.airTempNotice, elements.airTempError);
+    updateIndexComparison(state.wetBulbTemp);
+    elements.sensitivity.style.display = "none";
+    hideUncertainty();
+
+    updateDangerIndicator(state.wetBulbTemp, elements.calculatedDanger);
+    updateThresholdDistance();
+    displayWarning(state.wetBulbTemp);
+
     return;
   }
 
+  if (state.mode === "temp-dewpoint-input") {
+    updateHumidityFromDewPoint();
+  }
+
   // Calculate wet bulb from temp and humidity.
-  const wetBulb = wetBulbCalculator.calculateWetBulb(
+  const result = wetBulbCalculator.calculateWetBulbResult(
     state.airTemp,
     state.humidity,
+    getCalculationOptions(),
   );
+  const wetBulb = result.value;
   state.wetBulbTemp = wetBulb;
-  elements.calculatedWetbulb.textContent = wetBulb.toFixed(1);
+  elements.calculatedWetbulb.textContent = fromCelsius(
+    wetBulb,
+    state.unit,
+  ).toFixed(1);
+  updateResultNotice(result);
+  updateUncertainty();
+  updateDetails();
+  updateIndexComparison(wetBulb);
+  updateSensitivity();
+
+  if (state.mode === "wbgt-input") {
+    updateWbgt();
+  }
   updateDangerIndicator(wetBulb, elements.calculatedDanger);
+  updateThresholdDistance();
   displayWarning(wetBulb);
 }
 
+/**
+ * Show the interval of the wet bulb temperature and the probability of each
+ * danger level, given the uncertainties of the sensors.
+ */
+function updateUncertainty() {
+  if (state.tempUncertainty === 0 && state.rhUncertainty === 0) {
+    hideUncertainty();
+    return;
+  }
+
+  const uncertainty = wetBulbCalculator.calculateWetBulbUncertainty(
+    state.airTemp,
+    state.humidity,
+    { temp: state.tempUncertainty, rh: state.rhUncertainty },
+    getCalculationOptions(),
+    getDangerOptions(),
+  );
+  state.wetBulbUncertainty = uncertainty;
+
+  elements.wetbulbInterval.textContent = `${fromCelsius(uncertainty.low, state.unit).toFixed(1)} to ${formatTemperature(uncertainty.high, state.unit)}`;
+
+  // List the levels that are at all likely, rounded to whole percents.
+  elements.levelProbabilities.replaceChildren(
+    ...uncertainty.levels
+      .filter(({ probability }) => probability >= 0.005)
+      .map(({ label, color, probability }) => {
+        const item = document.createElement("li");
+        item.textContent = `${label} ${(probability * 100).toFixed(0)}%`;
+        item.style.setProperty("--level-color", color);
+        return item;
+      }),
+  );
+  elements.uncertaintyResult.style.display = "";
+}
+
+/** Hide the uncertainty of the wet bulb temperature. */
+function hideUncertainty() {
+  state.wetBulbUncertainty = null;
+  elements.uncertaintyResult.style.display = "none";
+}
+
+/**
+ * Show how much the wet bulb temperature changes with the air temperature and
+ * humidity at the current conditions.
+ */
+function updateSensitivity() {
+  const sensitivity = wetBulbCalculator.calculateWetBulbSensitivity(
+    state.airTemp,
+    state.humidity,
+    getCalculationOptions(),
+  );
+
+  // The change per degree is a ratio, so it's the same in every unit.
+  elements.sensitivityTemp.textContent = `${sensitivity.temp.toFixed(2)}${temperatureSuffix(state.unit)}`;
+  elements.sensitivityRh.textContent = formatTemperatureDifference(
+    sensitivity.rh,
+    state.unit,
+    2,
+  );
+  elements.sensitivity.style.display = "";
+}
+
+/**
+ * Show how much warmer or more humid the current conditions would have to be
+ * to reach the next danger level.
+ */
+function updateThresholdDistance() {
+  if (state.mode === "wetbulb-input") {
+    state.thresholdDistance = null;
+    elements.thresholdDistance.style.display = "none";
+    return;
+  }
+
+  const distance = wetBulbCalculator.getDistanceToNextLevel(
+    state.airTemp,
+    state.humidity,
+    getCalculationOptions(),
+    getDangerOptions(),
+  );
+  state.thresholdDistance = distance;
+  elements.thresholdDistance.style.display = "";
+
+  if (!distance) {
+    elements.thresholdDistance.textContent =
+      "Already at the highest danger level.";
+    return;
+  }
+
+  const { level, temp, rh } = distance;
+  const paths = [];
+
+  if (Number.isFinite(temp)) {
+    paths.push(
+      `+${formatTemperatureDifference(temp - state.airTemp, state.unit)} at constant RH`,
+    );
+  }
+  if (Number.isFinite(rh)) {
+    paths.push(
+      `+${(rh - state.humidity).toFixed(1)}% RH at constant temperature`,
+    );
+  }
+
+  elements.thresholdDistance.textContent = paths.length
+    ? `${paths.join(", or ")}${paths.length > 1 ? "," : ""} reaches ${level.label}.`
+    : `${level.label} can't be reached within the valid range by raising the temperature or humidity alone.`;
+}
+
+/**
+ * Derive the relative humidity from the air temperature and dew point. A dew
+ * point above the air temperature means the air is saturated.
+ */
+function updateHumidityFromDewPoint() {
+  const humidity = wetBulbCalculator.calculateRelativeHumidity(
+    state.airTemp,
+    state.dewPoint,
+  );
+  state.humidity = Math.min(100, humidity);
+
+  elements.derivedHumidity.textContent =
+    humidity > 100
+      ? "Relative humidity 100%, as the dew point can't exceed the air temperature."
+      : `Relative humidity ${state.humidity.toFixed(0)}%`;
+}
+
+/**
+ * Describe why a result can't be taken at face value.
+ * @param {import('./wet-bulb-calculator.js').CalculationResult} result
+ * @returns {string} The notice, or an empty string if there is nothing to
+ * point out.
+ */
+function describeResult({ outOfDomain, clamped, noSolution }) {
+  const { name } = wetBulbCalculator.formulas[state.formula];
+
+  if (noSolution) {
+    return "No solution exists for these conditions.";
+  }
+  if (outOfDomain) {
+    return `Outside the valid range of the ${name}. This value is extrapolated and its error is unknown.`;
+  }
+  if (clamped) {
+    return "The exact value can't be reached, so this is the nearest achievable one.";
+  }
+  return "";
+}
+
+/**
+ * Show the notice and estimated error for a calculated temperature.
+ * @param {import('./wet-bulb-calculator.js').CalculationResult} result
+ * @param {HTMLElement} [noticeElement]
+ * @param {HTMLElement} [errorElement]
+ */
+function updateResultNotice(
+  result,
+  noticeElement = elements.resultNotice,
+  errorElement = elements.wetbulbError,
+) {
+  const notice = describeResult(result);
+
+  noticeElement.textContent = notice;
+  noticeElement.style.display = notice ? "" : "none";
+
+  errorElement.textContent = Number.isFinite(result.error)
+    ? `±${formatTemperatureDifference(result.error, state.unit)}`
+    : "unknown";
+}
+
+/** Number of decimal places to show for each derived moisture quantity. */
+const detailPrecision = {
+  dewPoint: 1,
+  frostPoint: 1,
+  vaporPressure: 2,
+  saturationVaporPressure: 2,
+  mixingRatio: 2,
+  specificHumidity: 2,
+  absoluteHumidity: 2,
+  enthalpy: 1,
+};
+
+/** Update the derived moisture quantities in the result details. */
+function updateDetails() {
+  const properties = wetBulbCalculator.calculateMoistureProperties(
+    state.airTemp,
+    state.humidity,
+    getCalculationOptions(),
+  );
+
+  // Frost only forms instead of dew below freezing.
+  elements.frostPointItem.style.display =
+    properties.frostPoint < 0 ? "" : "none";
+
+  elements.detailValues.forEach((element) => {
+    const key = /** @type {keyof typeof detailPrecision} */ (
+      element.dataset.detail
+    );
+    // The dew and frost points are the only temperatures among the
+    // quantities.
+    const value =
+      key === "dewPoint" || key === "frostPoint"
+        ? fromCelsius(properties[key], state.unit)
+        : properties[key];
+
+    element.textContent = Number.isFinite(value)
+      ? value.toFixed(detailPrecision[key])
+      : "--";
+  });
+}
+
+/** Update the WBGT estimate and its flag category. */
+function updateWbgt() {
+  const preset = wetBulbCalculator.wbgtSolarPresets[state.solarPreset];
+  const { wbgt, naturalWetBulb, globeTemp } = wetBulbCalculator.calculateWbgt(
+    state.airTemp,
+    state.humidity,
+    {
+      solarRadiation: state.solarRadiation,
+      windSpeed: state.windSpeed,
+      indoor: preset?.indoor ?? false,
+      pressure: state.pressure,
+    },
+  );
+  const level = wetBulbCalculator.getWbgtLevel(wbgt);
+
+  elements.calculatedWbgt.textContent = fromCelsius(wbgt, state.unit).toFixed(
+    1,
+  );
+  elements.naturalWetBulb.textContent = fromCelsius(
+    naturalWetBulb,
+    state.unit,
+  ).toFixed(1);
+  elements.globeTemp.textContent = fromCelsius(globeTemp, state.unit).toFixed(
+    1,
+  );
+  elements.wbgtFlag.textContent = level.label;
+  elements.wbgtFlag.style.setProperty("--level-color", level.color);
+  elements.wbgtGuidance.textContent = level.description;
+}
+
+/**
+ * Update the comparison of wet bulb temperature against other heat indices.
+ * @param {number} wetBulb Wet bulb temperature for the current conditions.
+ */
+function updateIndexComparison(wetBulb) {
+  const { airTemp, humidity } = state;
+  const dangerLevel = wetBulbCalculator.getDangerLevel(
+    wetBulb,
+    getDangerOptions(),
+  );
+  const heatIndex = wetBulbCalculator.calculateHeatIndex(airTemp, humidity);
+  const humidex = wetBulbCalculator.calculateHumidex(airTemp, humidity);
+  const apparentTemp = wetBulbCalculator.calculateApparentTemperature(
+    airTemp,
+    humidity,
+  );
+
+  /** @type {Record<string, { value: number, label: string, color: string }>} */
+  const indices = {
+    wetBulb: {
+      value: wetBulb,
+      label: dangerLevel.label,
+      color: dangerLevel.color,
+    },
+    heatIndex: {
+      value: heatIndex,
+      ...wetBulbCalculator.getHeatIndexLevel(heatIndex),
+    },
+    humidex: {
+      value: humidex,
+      ...wetBulbCalculator.getHumidexLevel(humidex),
+    },
+    apparentTemperature: {
+      value: apparentTemp,
+      ...wetBulbCalculator.getApparentTemperatureLevel(apparentTemp),
+    },
+  };
+
+  elements.comparisonItems.forEach((item) => {
+    const index = indices[item.dataset.index];
+
+    if (!index) {
+      return;
+    }
+
+    item.querySelector(".comparison-value").textContent = formatTemperature(
+      index.value,
+      state.unit,
+    );
+    item.querySelector(".comparison-level").textContent = index.label;
+    item.style.setProperty("--level-color", index.color);
+  });
+
+  elements.indexComparison.style.display = "";
+}
+
+/** Danger bar gradient for each danger level. */
+const dangerGradients = {
+  safe: "var(--gradient-safe)",
+  caution: "var(--gradient-caution)",
+  extreme: "var(--gradient-extreme)",
+  danger: "var(--gradient-danger)",
+  unsurvivable: "var(--gradient-danger)",
+};
+
 /**
  * Update danger indicator based on wet bulb temperature.
  * @param {number} wetBulbTemp
@@ -336,26 +1626,24 @@ function updateDangerIndicator(wetBulbTemp, dangerElement) {
     return; // Can happen during initial setup.
   }
 
-  let percentage;
-  let gradient;
-
-  if (wetBulbTemp < 19) {
-    percentage = (wetBulbTemp / 19) * 25; // 0-25% for safe zone.
-    gradient = "var(--gradient-safe)";
-  } else if (wetBulbTemp < 25) {
-    percentage = 25 + ((wetBulbTemp - 19) / 6) * 25; // 25-50% for caution.
-    gradient = "var(--gradient-caution)";
-  } else if (wetBulbTemp < 28) {
-    percentage = 50 + ((wetBulbTemp - 25) / 3) * 25; // 50-75% for extreme.
-    gradient = "var(--gradient-extreme)";
-  } else if (wetBulbTemp < 31) {
-    percentage = 75 + ((wetBulbTemp - 28) / 3) * 25; // 75-100% for danger.
-    gradient = "var(--gradient-danger)";
-  } else {
-    percentage = 100; // 100% for unsurvivable.
-    gradient = "var(--gradient-danger)";
+  // Each level below unsurvivable takes an equal share of the bar, with the
+  // safe level starting at 0°C.
+  const levels = wetBulbCalculator.getDangerLevels(getDangerOptions());
+  const segment = 100 / (levels.length - 1);
+  let index = 0;
+
+  while (index < levels.length - 1 && wetBulbTemp >= levels[index + 1].min) {
+    index++;
   }
 
+  const lower = index === 0 ? 0 : levels[index].min;
+  const upper = levels[index + 1]?.min;
+  let percentage =
+    upper === undefined
+      ? 100
+      : (index + (wetBulbTemp - lower) / (upper - lower)) * segment;
+  const gradient = dangerGradients[levels[index].level];
+
   percentage = Math.min(100, Math.max(0, percentage));
   dangerElement.style.width = `${percentage}%`;
   dangerElement.style.background = gradient;
@@ -376,7 +1664,10 @@ function displayWarning(wetBulbTemp) {
   // Remove all warning classes.
   warningEl.classList.remove("caution", "extreme", "danger", "unsurvivable");
 
-  const { level, warning } = wetBulbCalculator.getDangerLevel(wetBulbTemp);
+  const { level, warning } = wetBulbCalculator.getDangerLevel(
+    wetBulbTemp,
+    getDangerOptions(),
+  );
 
   if (!warning) {
     warningEl.style.display = "none";
@@ -390,13 +1681,77 @@ function displayWarning(wetBulbTemp) {
   warningEl.classList.add(level);
 }
 
-/** Calculate optimal label positions to avoid overlap */
-function calculateLabelPositions() {
-  if (!state.chart || !state.showLabels) return null;
+/**
+ * Get the height of a condition on the chart: its relative humidity, or its
+ * mixing ratio in the psychrometric view.
+ * @param {number} temp Air temperature in Celsius.
+ * @param {number} rh Relative humidity in percentage (0% to 100%).
+ * @returns {number}
+ */
+function getChartY(temp, rh) {
+  return state.chartView === "psychrometric"
+    ? wetBulbCalculator.calculateMixingRatio(temp, rh, getCalculationOptions())
+    : rh;
+}
 
-  const chartArea = state.chart.chartArea;
+/**
+ * Get the relative humidity of a condition from its height on the chart. This
+ * is the inverse of `getChartY`.
+ * @param {number} temp Air temperature in Celsius.
+ * @param {number} y
+ * @returns {number} Relative humidity in percentage.
+ */
+function getChartHumidity(temp, y) {
+  return state.chartView === "psychrometric"
+    ? wetBulbCalculator.calculateRelativeHumidityFromMixingRatio(
+        temp,
+        y,
+        getCalculationOptions(),
+      )
+    : y;
+}
+
+/**
+ * Create a point on the chart for a condition.
+ * @param {number} temp Air temperature in Celsius.
+ * @param {number} rh Relative humidity in percentage (0% to 100%).
+ * @param {number} [wetBulb] Wet bulb temperature of the curve the point is on.
+ * @returns {ChartPoint}
+ */
+function createChartPoint(temp, rh, wetBulb) {
+  return { x: temp, y: getChartY(temp, rh), rh, wetBulb };
+}
+
+/**
+ * Find the relative humidity at which a wet bulb curve crosses an air
+ * temperature.
+ * @param {number} temp Air temperature in Celsius.
+ * @param {number} wetBulb Wet bulb temperature of the curve in Celsius.
+ * @param {import('./wet-bulb-calculator.js').CalculationOptions} options
+ * @returns {number} Relative humidity in percentage, or NaN where the curve
+ * doesn't cross the temperature, rather than a humidity clamped to the edge
+ * of the chart, or where the formula can't tell which humidity it crosses at.
+ */
+function getCurveHumidity(temp, wetBulb, options) {
+  const result = wetBulbCalculator.findHumidityForWetBulbResult(
+    temp,
+    wetBulb,
+    options,
+  );
+
+  return result.clamped || result.noSolution || result.ambiguous
+    ? NaN
+    : result.rawValue;
+}
+
+/** Calculate optimal label positions to avoid overlap */
+function calculateLabelPositions() {
+  if (!state.chart || !state.showLabels) return null;
+
+  const chartArea = state.chart.chartArea;
   const xScale = state.chart.scales.x;
   const yScale = state.chart.scales.y;
+  const options = getCalculationOptions();
 
   // Get visible bounds.
   const xMin = xScale.min;
@@ -408,38 +1763,65 @@ function calculateLabelPositions() {
   const viewCenterY = (yMin + yMax) / 2;
 
   // Define wet bulb temperatures and their properties.
-  const wetBulbTemps = [
-    {
-      temp: 19,
-      label: "19°C - Caution",
-      bgColor: "#f59e0b",
-      textColor: "#000000",
-    },
-    {
-      temp: 25,
-      label: "25°C - Extreme",
-      bgColor: "#f97316",
-      textColor: "#000000",
-    },
-    {
-      temp: 28,
-      label: "28°C - Danger",
-      bgColor: "#ef4444",
-      textColor: "#ffffff",
-    },
-    {
-      temp: 31,
-      label: "31°C - Unsurvivable",
-      bgColor: "#991b1b",
-      textColor: "#ffffff",
-    },
-  ];
+  const wetBulbTemps = wetBulbCalculator
+    .getDangerLevels(getDangerOptions())
+    .slice(1)
+    .map((level) => ({
+      temp: level.min,
+      label: `${formatThreshold(level.min)} - ${level.label}`,
+      bgColor: level.color,
+      textColor:
+        level.level === "caution" || level.level === "extreme"
+          ? "#000000"
+          : "#ffffff",
+    }));
 
   const labelPositions = [];
   const labelHeight = 25; // Approximate label height in pixels.
   const labelWidth = 140; // Approximate label width in pixels.
   const padding = 10; // Minimum padding between labels.
 
+  /**
+   * Get the height of a wet bulb curve on the chart at an air temperature.
+   * @param {number} x
+   * @param {number} wbtTemp
+   * @returns {number} The height, or NaN where the curve has no humidity.
+   */
+  function curveY(x, wbtTemp) {
+    return getChartY(x, getCurveHumidity(x, wbtTemp, options));
+  }
+
+  /**
+   * Find the air temperature at which a wet bulb curve reaches a height on
+   * the chart.
+   * @param {number} wbtTemp
+   * @param {number} y
+   * @returns {number}
+   */
+  function curveTemp(wbtTemp, y) {
+    if (state.chartView !== "psychrometric") {
+      return wetBulbCalculator.findTempForWetBulbAndHumidity(
+        wbtTemp,
+        y,
+        options,
+      );
+    }
+
+    // The mixing ratio falls along the curve, so bisect between its ends.
+    let low = wbtTemp;
+    let high = 50;
+    for (let i = 0; i < 30; i++) {
+      const mid = (low + high) / 2;
+      if (curveY(mid, wbtTemp) > y) {
+        low = mid;
+      } else {
+        high = mid;
+      }
+    }
+
+    return low;
+  }
+
   /**
    * Helper function to calculate the angle of the wet bulb curve at a given x
    * value.
@@ -449,11 +1831,12 @@ function calculateLabelPositions() {
   function calculateCurveAngle(x, wbtTemp) {
     // Calculate the slope using a small delta.
     const delta = 0.5;
-    const x1 = x - delta;
+    // The curve starts at the wet bulb temperature.
+    const x1 = Math.max(x - delta, wbtTemp);
     const x2 = x + delta;
 
-    const y1 = wetBulbCalculator.findHumidityForWetBulb(x1, wbtTemp);
-    const y2 = wetBulbCalculator.findHumidityForWetBulb(x2, wbtTemp);
+    const y1 = curveY(x1, wbtTemp);
+    const y2 = curveY(x2, wbtTemp);
 
     // Convert to pixel coordinates for accurate angle calculation.
     const pixelX1 = xScale.getPixelForValue(x1);
@@ -495,10 +1878,10 @@ function calculateLabelPositions() {
       // Skip if x is less than the wet bulb temperature (invalid).
       if (x < wbtTemp) continue;
 
-      const y = wetBulbCalculator.findHumidityForWetBulb(x, wbtTemp);
+      const y = curveY(x, wbtTemp);
 
       // Check if the point is valid and within view bounds.
-      if (y >= 0 && y <= 100 && y >= yMin && y <= yMax) {
+      if (y >= yMin && y <= yMax) {
         // Calculate distance from vertical center.
         const distanceFromCenter = Math.abs(y - viewCenterY);
 
@@ -533,53 +1916,19 @@ function calculateLabelPositions() {
     // If no valid position found within view, try to find the closest point.
     if (bestX === null) {
       // Check if the curve starts below the view.
-      const startY = wetBulbCalculator.findHumidityForWetBulb(
-        curveStartX,
-        wbtTemp,
-      );
+      const startY = curveY(curveStartX, wbtTemp);
       if (startY > yMax && curveStartX <= xMax) {
         // Find where the curve enters the view from bottom.
-        let low = curveStartX;
-        let high = curveEndX;
-
-        while (high - low > 0.1) {
-          const mid = (low + high) / 2;
-          const midY = wetBulbCalculator.findHumidityForWetBulb(mid, wbtTemp);
-
-          if (midY > yMax) {
-            low = mid;
-          } else {
-            high = mid;
-          }
-        }
-
-        bestX = high;
-        bestY = wetBulbCalculator.findHumidityForWetBulb(bestX, wbtTemp);
+        bestX = Math.min(curveEndX, curveTemp(wbtTemp, yMax));
+        bestY = curveY(bestX, wbtTemp);
       }
       // Check if the curve ends above the view.
       else if (curveStartX <= xMax) {
-        const endY = wetBulbCalculator.findHumidityForWetBulb(
-          Math.min(curveEndX, xMax),
-          wbtTemp,
-        );
+        const endY = curveY(Math.min(curveEndX, xMax), wbtTemp);
         if (endY < yMin) {
           // Find where the curve exits the view from top.
-          let low = curveStartX;
-          let high = Math.min(curveEndX, xMax);
-
-          while (high - low > 0.1) {
-            const mid = (low + high) / 2;
-            const midY = wetBulbCalculator.findHumidityForWetBulb(mid, wbtTemp);
-
-            if (midY < yMin) {
-              high = mid;
-            } else {
-              low = mid;
-            }
-          }
-
-          bestX = low;
-          bestY = wetBulbCalculator.findHumidityForWetBulb(bestX, wbtTemp);
+          bestX = Math.min(curveEndX, xMax, curveTemp(wbtTemp, yMin));
+          bestY = curveY(bestX, wbtTemp);
         }
       }
     }
@@ -618,113 +1967,1348 @@ function calculateLabelPositions() {
     const prev = labelPositions[i - 1];
     const curr = labelPositions[i];
 
-    // Check if labels overlap vertically.
-    const verticalGap = Math.abs(curr.pixelY - prev.pixelY);
-    if (verticalGap < labelHeight + padding) {
-      // Try to find an alternative position for the current label.
+    // Check if labels overlap vertically.
+    const verticalGap = Math.abs(curr.pixelY - prev.pixelY);
+    if (verticalGap < labelHeight + padding) {
+      // Try to find an alternative position for the current label.
+
+      // Search in both directions from the current position.
+      const searchStep = (xMax - xMin) * 0.02;
+      let foundAlternative = false;
+
+      for (let direction of [1, -1]) {
+        for (let j = 1; j <= 10; j++) {
+          const newX = curr.x + direction * j * searchStep;
+
+          // Check if newX is valid for this wet bulb temperature.
+          if (newX >= curr.wbtTemp && newX <= xMax && newX >= xMin) {
+            const newY = curveY(newX, curr.wbtTemp);
+
+            if (newY >= yMin && newY <= yMax) {
+              const newPixelX = xScale.getPixelForValue(newX);
+              const newPixelY = yScale.getPixelForValue(newY);
+
+              // Check if new position maintains sufficient gap and stays
+              // within bounds.
+              const newVerticalGap = Math.abs(newPixelY - prev.pixelY);
+              if (
+                newVerticalGap >= labelHeight + padding &&
+                newPixelX - labelWidth / 2 >= chartArea.left &&
+                newPixelX + labelWidth / 2 <= chartArea.right &&
+                newPixelY - labelHeight / 2 >= chartArea.top &&
+                newPixelY + labelHeight / 2 <= chartArea.bottom
+              ) {
+                curr.x = newX;
+                curr.y = newY;
+                curr.pixelX = newPixelX;
+                curr.pixelY = newPixelY;
+                curr.rotation = calculateCurveAngle(newX, curr.wbtTemp);
+                foundAlternative = true;
+                break;
+              }
+            }
+          }
+        }
+        if (foundAlternative) break;
+      }
+    }
+  }
+
+  return labelPositions;
+}
+
+/**
+ * Update chart annotations with calculated positions.
+ */
+function updateChartAnnotations() {
+  if (!state.chart?.options.plugins.annotation) return;
+
+  // The annotations mark the danger levels, which the formula error view
+  // leaves out. Arrows to the next danger level and the uncertainty of the
+  // current condition are shown even when labels are hidden.
+  const showDanger = state.chartView !== "formula-error";
+  const annotations = showDanger
+    ? { ...getUncertaintyAnnotations(), ...getThresholdDistanceAnnotations() }
+    : {};
+  const positions =
+    showDanger && state.showLabels ? calculateLabelPositions() : null;
+
+  positions?.forEach((pos) => {
+    // Calculate offset to position label to the left of the curve,
+    // The offset direction is perpendicular to the curve (90 degrees to the
+    // left).
+    const offsetDistance = -10; // Distance in pixels to offset the label.
+    const offsetX = offsetDistance * Math.cos(pos.rotation - Math.PI / 2);
+    const offsetY = offsetDistance * Math.sin(pos.rotation - Math.PI / 2);
+
+    annotations[pos.id] = {
+      type: "label",
+      xValue: pos.x,
+      yValue: pos.y,
+      xAdjust: offsetX,
+      yAdjust: offsetY,
+      color: pos.bgColor, // Use the danger zone color for text.
+      content: pos.label,
+      font: {
+        size: 12,
+        weight: "bold",
+      },
+      padding: 6,
+      borderRadius: 4,
+      rotation: pos.rotation * (180 / Math.PI), // Convert radians to degrees.
+      textAlign: "center",
+    };
+  });
+
+  // Update the chart's annotation configuration.
+  state.chart.options.plugins.annotation.annotations = annotations;
+  state.chart.update("none");
+}
+
+/**
+ * Joint coverage factor of a 95% region of two independent normal variables,
+ * the semi-axes of the uncertainty ellipse in standard uncertainties.
+ */
+const JOINT_COVERAGE_FACTOR = Math.sqrt(-2 * Math.log(0.05));
+
+/**
+ * Create an ellipse around the current condition covering the sensor
+ * uncertainties.
+ * @returns {Record<string, object>}
+ */
+function getUncertaintyAnnotations() {
+  if (!state.wetBulbUncertainty) {
+    return {};
+  }
+
+  const dx = JOINT_COVERAGE_FACTOR * state.tempUncertainty;
+  const dy = JOINT_COVERAGE_FACTOR * state.rhUncertainty;
+
+  return {
+    uncertainty: {
+      type: "ellipse",
+      xMin: state.airTemp - dx,
+      xMax: state.airTemp + dx,
+      yMin: getChartY(state.airTemp, state.humidity - dy),
+      yMax: getChartY(state.airTemp, state.humidity + dy),
+      backgroundColor: "rgba(99, 102, 241, 0.15)",
+      borderColor: "#6366f1",
+      borderWidth: 1,
+    },
+  };
+}
+
+/**
+ * Create arrows from the current condition to the next danger level, at
+ * constant humidity and at constant air temperature.
+ * @returns {Record<string, object>}
+ */
+function getThresholdDistanceAnnotations() {
+  const distance = state.thresholdDistance;
+
+  if (!distance) {
+    return {};
+  }
+
+  const { airTemp, humidity } = state;
+  const arrow = {
+    type: "line",
+    borderColor: distance.level.color,
+    borderWidth: 2,
+    borderDash: [6, 4],
+    arrowHeads: {
+      end: { display: true, fill: true, length: 8, width: 5 },
+    },
+  };
+  const label = {
+    display: true,
+    backgroundColor: distance.level.color,
+    font: { size: 11 },
+    padding: 4,
+  };
+  const annotations = {};
+
+  if (Number.isFinite(distance.temp)) {
+    annotations.distanceTemp = {
+      ...arrow,
+      xMin: airTemp,
+      xMax: distance.temp,
+      yMin: getChartY(airTemp, humidity),
+      yMax: getChartY(distance.temp, humidity),
+      label: {
+        ...label,
+        content: `+${formatTemperatureDifference(distance.temp - airTemp, state.unit)}`,
+      },
+    };
+  }
+  if (Number.isFinite(distance.rh)) {
+    annotations.distanceHumidity = {
+      ...arrow,
+      xMin: airTemp,
+      xMax: airTemp,
+      yMin: getChartY(airTemp, humidity),
+      yMax: getChartY(airTemp, distance.rh),
+      label: {
+        ...label,
+        content: `+${(distance.rh - humidity).toFixed(1)}%`,
+      },
+    };
+  }
+
+  return annotations;
+}
+
+/**
+ * Get the color of the text of the chart, so lines drawn on it show in both
+ * light and dark themes.
+ * @param {import('chart.js').Chart} chart
+ * @returns {string}
+ */
+function getChartTextColor(chart) {
+  return (
+    getComputedStyle(chart.canvas).getPropertyValue("--color-text").trim() ||
+    "#1e293b"
+  );
+}
+
+// Crosshair
+
+/**
+ * Position of the pointer on the chart, which the crosshair follows.
+ * @type {{ x: number, y: number } | null}
+ */
+let chartCrosshair = null;
+
+/**
+ * Isotherm through the pointer, kept while the pointer stays on it.
+ * @type {{ key: string, points: ChartPoint[] } | null}
+ */
+let hoverIsotherm = null;
+
+/**
+ * Read the conditions at a position on the chart.
+ * @param {import('chart.js').Chart} chart
+ * @param {number} x
+ * @param {number} y
+ * @returns {{
+ *   temp: number,
+ *   rh: number,
+ *   wetBulb: number,
+ *   level: import('./wet-bulb-calculator.js').DangerLevel,
+ * } | null} The conditions, or null beyond saturation, dry air or 50°C.
+ */
+function getConditionsAt(chart, x, y) {
+  const temp = chart.scales.x.getValueForPixel(x);
+  const rh = getChartHumidity(temp, chart.scales.y.getValueForPixel(y));
+
+  if (!(rh >= 0 && rh <= 100) || temp > 50) {
+    return null;
+  }
+
+  const wetBulb = wetBulbCalculator.calculateWetBulb(
+    temp,
+    rh,
+    getCalculationOptions(),
+  );
+
+  return {
+    temp,
+    rh,
+    wetBulb,
+    level: wetBulbCalculator.getDangerLevel(wetBulb, getDangerOptions()),
+  };
+}
+
+/**
+ * Get the isotherm through the pointer, generating it if the pointer has moved
+ * to another one.
+ * @param {number} wetBulb Wet bulb temperature in Celsius.
+ * @returns {ChartPoint[]}
+ */
+function getHoverIsotherm(wetBulb) {
+  const key = [wetBulb, state.chartView, state.formula, state.pressure].join();
+
+  if (hoverIsotherm?.key === key) {
+    return hoverIsotherm.points;
+  }
+
+  let points = [];
+  if (state.formula === "psychrometric") {
+    // The psychrometric equation gives the humidity along the isotherm
+    // directly, which is fast enough to follow the pointer.
+    const options = getCalculationOptions();
+    for (let temp = wetBulb; temp <= 50; temp += 0.5) {
+      const rh = wetBulbCalculator.calculateRelativeHumidityFromMixingRatio(
+        temp,
+        wetBulbCalculator.calculateMixingRatioFromWetBulb(
+          temp,
+          wetBulb,
+          options,
+        ),
+        options,
+      );
+
+      if (rh < 0) break;
+
+      points.push(createChartPoint(temp, Math.min(100, rh), wetBulb));
+    }
+  } else {
+    points = generateIsothermCurve(wetBulb);
+  }
+
+  hoverIsotherm = { key, points };
+
+  return points;
+}
+
+/**
+ * Chart.js plugin drawing a crosshair at the pointer, with the isotherm
+ * through it and a readout of the conditions there in a box styled like the
+ * tooltips. The readout describes the danger zone, or gives the error of
+ * Stull's approximation in the formula error view, and gives way to the
+ * tooltip of a point.
+ * @type {import('chart.js').Plugin<"line">}
+ */
+const chartCrosshairPlugin = {
+  id: "crosshair",
+  afterEvent(chart, args) {
+    const { event, inChartArea } = args;
+    const position =
+      inChartArea && event.type !== "mouseout"
+        ? { x: event.x, y: event.y }
+        : null;
+
+    if (position || chartCrosshair) {
+      chartCrosshair = position;
+      args.changed = true;
+    }
+  },
+  afterDatasetsDraw(chart) {
+    if (!chartCrosshair) return;
+
+    const { ctx, chartArea, scales } = chart;
+    const { x, y } = chartCrosshair;
+    const conditions = getConditionsAt(chart, x, y);
+    const formulaError = state.chartView === "formula-error";
+    const color = getChartTextColor(chart);
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(chartArea.left, chartArea.top, chartArea.width, chartArea.height);
+    ctx.clip();
+
+    ctx.strokeStyle = color;
+    ctx.globalAlpha = 0.5;
+    ctx.lineWidth = 1;
+    ctx.setLineDash([4, 4]);
+    ctx.beginPath();
+    ctx.moveTo(x, chartArea.top);
+    ctx.lineTo(x, chartArea.bottom);
+    ctx.moveTo(chartArea.left, y);
+    ctx.lineTo(chartArea.right, y);
+    ctx.stroke();
+
+    if (conditions && state.showHoverIsotherm) {
+      ctx.strokeStyle = formulaError ? color : conditions.level.color;
+      ctx.globalAlpha = 0.7;
+      ctx.lineWidth = 2;
+      ctx.setLineDash([2, 4]);
+      ctx.beginPath();
+      getHoverIsotherm(conditions.wetBulb).forEach((point, i) => {
+        const pixelX = scales.x.getPixelForValue(point.x);
+        const pixelY = scales.y.getPixelForValue(point.y);
+        if (i === 0) {
+          ctx.moveTo(pixelX, pixelY);
+        } else {
+          ctx.lineTo(pixelX, pixelY);
+        }
+      });
+      ctx.stroke();
+    }
+
+    ctx.restore();
+
+    if (!conditions || chart.tooltip.getActiveElements().length > 0) return;
+
+    const { temp, rh, wetBulb, level } = conditions;
+    const title = formulaError
+      ? `Stull Error: ${formatFormulaError(calculateFormulaError(temp, rh))}`
+      : `${level.label} Zone`;
+    const lines = [
+      ...(formulaError ? [] : [level.description]),
+      `Temperature: ${formatTemperature(temp, state.unit)}`,
+      `Humidity: ${rh.toFixed(0)}%`,
+      ...(state.chartView === "psychrometric"
+        ? [`Humidity Ratio: ${scales.y.getValueForPixel(y).toFixed(1)} g/kg`]
+        : []),
+      `Wet Bulb: ${formatTemperature(wetBulb, state.unit)}`,
+    ];
+    const swatch = formulaError ? 0 : 14;
+    const padding = 6;
+    const lineHeight = 16;
+    const family = Chart.defaults.font.family;
+
+    ctx.save();
+    ctx.font = `bold 12px ${family}`;
+    const titleWidth = swatch + ctx.measureText(title).width;
+    ctx.font = `12px ${family}`;
+    const width =
+      Math.max(
+        titleWidth,
+        ...lines.map((line) => ctx.measureText(line).width),
+      ) +
+      2 * padding;
+    const height = (lines.length + 1) * lineHeight + 2 * padding;
+
+    // Place the box below and right of the pointer, flipping it to stay in
+    // the chart area.
+    const left =
+      x + 12 + width > chartArea.right ? Math.max(0, x - 12 - width) : x + 12;
+    const top =
+      y + 12 + height > chartArea.bottom
+        ? Math.max(0, y - 12 - height)
+        : y + 12;
+
+    ctx.fillStyle = "rgba(0, 0, 0, 0.8)";
+    ctx.beginPath();
+    ctx.roundRect(left, top, width, height, 6);
+    ctx.fill();
+
+    if (swatch) {
+      ctx.fillStyle = level.color;
+      ctx.fillRect(left + padding, top + padding + 3, 10, 10);
+    }
+
+    ctx.fillStyle = "#ffffff";
+    ctx.textAlign = "left";
+    ctx.textBaseline = "top";
+    ctx.font = `bold 12px ${family}`;
+    ctx.fillText(title, left + padding + swatch, top + padding + 2);
+    ctx.font = `12px ${family}`;
+    lines.forEach((line, i) => {
+      ctx.fillText(
+        line,
+        left + padding,
+        top + padding + (i + 1) * lineHeight + 2,
+      );
+    });
+
+    ctx.restore();
+  },
+};
+
+// Wet bulb heatmap
+
+/** Size of the cells the wet bulb heatmap is calculated in, in pixels. */
+const WET_BULB_HEATMAP_CELL_SIZE = 4;
+
+/** Opacity of the wet bulb heatmap. */
+const WET_BULB_HEATMAP_ALPHA = 0.6;
+
+/**
+ * Colors of the wet bulb heatmap at wet bulb temperatures in Celsius, from
+ * cold blue through yellow to the dark red of unsurvivable heat. Colors are
+ * interpolated between them and held beyond the ends.
+ * @type {[number, [number, number, number]][]}
+ */
+const WET_BULB_HEATMAP_STOPS = [
+  [-10, [49, 54, 149]],
+  [0, [69, 117, 180]],
+  [10, [116, 173, 209]],
+  [16, [171, 217, 233]],
+  [20, [254, 224, 144]],
+  [25, [253, 174, 97]],
+  [28, [244, 109, 67]],
+  [31, [215, 48, 39]],
+  [35, [165, 0, 38]],
+];
+
+/**
+ * Worker calculating the wet bulb heatmap, created when it is first shown.
+ * It is null where Web Workers are unavailable, and the heatmap is calculated
+ * on the main thread instead.
+ * @type {Worker | null | undefined}
+ */
+let wetBulbHeatmapWorker;
+
+/**
+ * @typedef {{
+ *   key: string,
+ *   field: string,
+ *   bounds: { xMin: number, xMax: number, yMin: number, yMax: number },
+ *   columns: number,
+ *   rows: number,
+ *   temp: Float64Array,
+ *   rh: Float64Array,
+ * }} WetBulbHeatmapJob
+ * Cells of the wet bulb heatmap to calculate for a window of the chart. The
+ * field names what the window shows, and its key the window itself.
+ */
+
+/**
+ * Heatmap being calculated, and the latest one requested meanwhile, which is
+ * calculated next.
+ * @type {{ current: WetBulbHeatmapJob | null, next: WetBulbHeatmapJob | null }}
+ */
+const wetBulbHeatmapJobs = { current: null, next: null };
+
+/**
+ * Calculated wet bulb heatmap, drawn over its window until the next one is
+ * ready.
+ * @type {Pick<WetBulbHeatmapJob, "key" | "field" | "bounds"> & { image: HTMLCanvasElement } | null}
+ */
+let wetBulbHeatmap = null;
+
+/** Whether the chart shows the wet bulb heatmap. */
+function showsWetBulbHeatmap() {
+  return state.showHeatmap && state.chartView !== "formula-error";
+}
+
+/**
+ * Get the heatmap color of a wet bulb temperature.
+ * @param {number} wetBulb Wet bulb temperature in Celsius.
+ * @returns {[number, number, number]} Red, green and blue from 0 to 255.
+ */
+function getWetBulbHeatmapColor(wetBulb) {
+  const upper = WET_BULB_HEATMAP_STOPS.findIndex(([temp]) => temp > wetBulb);
+
+  if (upper === 0 || upper === -1) {
+    return WET_BULB_HEATMAP_STOPS.at(upper === 0 ? 0 : -1)[1];
+  }
+
+  const [lowTemp, lowColor] = WET_BULB_HEATMAP_STOPS[upper - 1];
+  const [highTemp, highColor] = WET_BULB_HEATMAP_STOPS[upper];
+  const t = (wetBulb - lowTemp) / (highTemp - lowTemp);
+
+  return /** @type {[number, number, number]} */ (
+    lowColor.map((value, i) => Math.round(value + t * (highColor[i] - value)))
+  );
+}
+
+/** Show the color bar of the wet bulb heatmap in the selected unit. */
+function updateWetBulbHeatmapKey() {
+  elements.wetBulbHeatmapKey.hidden = !showsWetBulbHeatmap();
+
+  const min = WET_BULB_HEATMAP_STOPS[0][0];
+  const max = WET_BULB_HEATMAP_STOPS.at(-1)[0];
+  /** @param {number} celsius */
+  const position = (celsius) => ((celsius - min) / (max - min)) * 100;
+
+  const stops = WET_BULB_HEATMAP_STOPS.map(
+    ([temp, [red, green, blue]]) =>
+      `rgb(${red} ${green} ${blue} / ${WET_BULB_HEATMAP_ALPHA}) ${position(temp).toFixed(1)}%`,
+  );
+  elements.wetBulbHeatmapBar.style.background = `linear-gradient(to right, ${stops.join(", ")})`;
+
+  // Ticks at round values of the selected unit.
+  const step = state.unit === "F" ? 20 : 10;
+  const ticks = [];
+  for (
+    let value = Math.ceil(fromCelsius(min, state.unit) / step) * step;
+    value <= fromCelsius(max, state.unit);
+    value += step
+  ) {
+    const tick = document.createElement("span");
+    tick.style.left = `${position(toCelsius(value, state.unit))}%`;
+    tick.textContent = String(value);
+    ticks.push(tick);
+  }
+  elements.wetBulbHeatmapTicks.replaceChildren(...ticks);
+}
+
+/**
+ * Calculate the wet bulb heatmap for the visible window of the chart, unless
+ * it is already calculated or being calculated. While a heatmap is being
+ * calculated, only the latest window requested is queued.
+ */
+function updateWetBulbHeatmap() {
+  const chart = state.chart;
+
+  if (!chart?.chartArea || !showsWetBulbHeatmap()) return;
+
+  const { chartArea, scales } = chart;
+  const { left, top, width, height } = chartArea;
+  const field = [state.chartView, state.formula, state.pressure].join();
+  const key = [
+    scales.x.min,
+    scales.x.max,
+    scales.y.min,
+    scales.y.max,
+    width,
+    height,
+    field,
+  ].join();
+  const { current, next } = wetBulbHeatmapJobs;
+
+  if ((next ?? current ?? wetBulbHeatmap)?.key === key) return;
+
+  // Calculate at the centers of the cells.
+  const columns = Math.max(2, Math.ceil(width / WET_BULB_HEATMAP_CELL_SIZE));
+  const rows = Math.max(2, Math.ceil(height / WET_BULB_HEATMAP_CELL_SIZE));
+  const cellWidth = width / columns;
+  const cellHeight = height / rows;
+  const temp = new Float64Array(columns * rows);
+  const rh = new Float64Array(columns * rows);
+
+  for (let row = 0; row < rows; row++) {
+    const y = scales.y.getValueForPixel(top + (row + 0.5) * cellHeight);
+    for (let column = 0; column < columns; column++) {
+      const i = row * columns + column;
+      temp[i] = scales.x.getValueForPixel(left + (column + 0.5) * cellWidth);
+      rh[i] = getChartHumidity(temp[i], y);
+    }
+  }
+
+  /** @type {WetBulbHeatmapJob} */
+  const job = {
+    key,
+    field,
+    bounds: {
+      xMin: scales.x.min,
+      xMax: scales.x.max,
+      yMin: scales.y.min,
+      yMax: scales.y.max,
+    },
+    columns,
+    rows,
+    temp,
+    rh,
+  };
+
+  if (current) {
+    wetBulbHeatmapJobs.next = job;
+  } else {
+    startWetBulbHeatmapJob(job);
+  }
+}
+
+/**
+ * Start calculating a wet bulb heatmap in the worker, or on the main thread
+ * where workers are unavailable.
+ * @param {WetBulbHeatmapJob} job
+ */
+function startWetBulbHeatmapJob(job) {
+  wetBulbHeatmapJobs.current = job;
+
+  if (wetBulbHeatmapWorker === undefined) {
+    wetBulbHeatmapWorker =
+      typeof Worker === "undefined"
+        ? null
+        : new Worker(new URL("./wet-bulb-heatmap-worker.js", import.meta.url), {
+            type: "module",
+          });
+    wetBulbHeatmapWorker?.addEventListener("message", (event) => {
+      finishWetBulbHeatmapJob(event.data);
+    });
+    // Fall back to the main thread if the worker fails to load.
+    wetBulbHeatmapWorker?.addEventListener("error", () => {
+      wetBulbHeatmapWorker = null;
+      if (wetBulbHeatmapJobs.current) {
+        startWetBulbHeatmapJob(wetBulbHeatmapJobs.current);
+      }
+    });
+  }
+
+  const { temp, rh } = job;
+  const options = getCalculationOptions();
+
+  if (wetBulbHeatmapWorker) {
+    /** @type {import('./wet-bulb-heatmap-worker.js').WetBulbHeatmapRequest} */
+    const request = { temp, rh, options };
+    wetBulbHeatmapWorker.postMessage(request);
+  } else {
+    finishWetBulbHeatmapJob(
+      wetBulbCalculator.calculateWetBulbBatch({ temp, rh }, options),
+    );
+  }
+}
+
+/**
+ * Draw the wet bulb temperatures of the heatmap being calculated, then start
+ * on the next one.
+ * @param {Float64Array} wetBulb
+ */
+function finishWetBulbHeatmapJob(wetBulb) {
+  const { key, field, bounds, columns, rows, rh } = wetBulbHeatmapJobs.current;
+  const image = new ImageData(columns, rows);
+
+  for (let i = 0; i < wetBulb.length; i++) {
+    // Leave out humidities beyond saturation or below dry air.
+    if (rh[i] >= 0 && rh[i] <= 100) {
+      const [red, green, blue] = getWetBulbHeatmapColor(wetBulb[i]);
+      image.data.set([red, green, blue, WET_BULB_HEATMAP_ALPHA * 255], i * 4);
+    }
+  }
+
+  const canvas = document.createElement("canvas");
+  canvas.width = columns;
+  canvas.height = rows;
+  canvas.getContext("2d").putImageData(image, 0, 0);
+
+  wetBulbHeatmap = { key, field, bounds, image: canvas };
+  wetBulbHeatmapJobs.current = null;
+
+  const { next } = wetBulbHeatmapJobs;
+  wetBulbHeatmapJobs.next = null;
+  if (next) {
+    startWetBulbHeatmapJob(next);
+  }
+
+  state.chart?.draw();
+}
+
+/**
+ * Chart.js plugin drawing the wet bulb heatmap behind the datasets. Until the
+ * heatmap of a new window is ready, the last one is drawn where its window
+ * now is.
+ * @type {import('chart.js').Plugin<"line">}
+ */
+const wetBulbHeatmapPlugin = {
+  id: "wetBulbHeatmap",
+  beforeDatasetsDraw(chart) {
+    const field = [state.chartView, state.formula, state.pressure].join();
+
+    if (!showsWetBulbHeatmap() || wetBulbHeatmap?.field !== field) return;
+
+    const { ctx, chartArea, scales } = chart;
+    const { xMin, xMax, yMin, yMax } = wetBulbHeatmap.bounds;
+    const left = scales.x.getPixelForValue(xMin);
+    const top = scales.y.getPixelForValue(yMax);
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(chartArea.left, chartArea.top, chartArea.width, chartArea.height);
+    ctx.clip();
+
+    ctx.imageSmoothingEnabled = true;
+    ctx.drawImage(
+      wetBulbHeatmap.image,
+      left,
+      top,
+      scales.x.getPixelForValue(xMax) - left,
+      scales.y.getPixelForValue(yMin) - top,
+    );
+
+    ctx.restore();
+  },
+};
+
+// Psychrometric view
+
+/** Relative humidities of the curves of the psychrometric view, in %. */
+const PSYCHROMETRIC_RH_LINES = [10, 20, 30, 40, 50, 60, 70, 80, 90, 100];
+
+/** Spacing of the enthalpy lines of the psychrometric view, in kJ/kg. */
+const PSYCHROMETRIC_ENTHALPY_STEP = 10;
+
+/** Number of segments each line of the psychrometric view is drawn with. */
+const PSYCHROMETRIC_LINE_SEGMENTS = 60;
+
+/**
+ * Lines of the psychrometric view, kept until the visible window changes.
+ * @type {{
+ *   key: string,
+ *   color: string,
+ *   lines: {
+ *     path: Path2D,
+ *     lineWidth: number,
+ *     dash: number[],
+ *     alpha: number,
+ *     label: {
+ *       text: string,
+ *       x: number,
+ *       y: number,
+ *       align: CanvasTextAlign,
+ *       baseline: CanvasTextBaseline,
+ *     } | null,
+ *   }[],
+ * } | null}
+ */
+let psychrometricLines = null;
+
+/**
+ * Get the lines of the psychrometric view for the visible window of the
+ * chart, tracing them if the window has changed: curves of constant relative
+ * humidity, and lines of constant wet bulb temperature and enthalpy running
+ * down from saturation.
+ * @param {import('chart.js').Chart} chart
+ */
+function getPsychrometricLines(chart) {
+  const { chartArea, scales } = chart;
+  const color = getChartTextColor(chart);
+  const key = [
+    scales.x.min,
+    scales.x.max,
+    scales.y.min,
+    scales.y.max,
+    chartArea.width,
+    chartArea.height,
+    state.pressure,
+    state.unit,
+    color,
+  ].join();
+
+  if (psychrometricLines?.key === key) {
+    return psychrometricLines;
+  }
+
+  const options = getCalculationOptions();
+  const { min: xMin, max: xMax } = scales.x;
+  /** @param {number} temp */
+  const saturation = (temp) =>
+    wetBulbCalculator.calculateMixingRatio(temp, 100, options);
+
+  /**
+   * Trace a line from an air temperature to the right edge of the chart,
+   * labeled at its first or last point inside the chart area.
+   * @param {(temp: number) => number} mixingRatio Mixing ratio of the line at
+   * an air temperature, in g/kg.
+   * @param {number} from Air temperature the line starts at.
+   * @param {string} label
+   * @param {"start" | "end"} labelAt
+   * @param {{ lineWidth: number, dash: number[], alpha: number }} style
+   */
+  const trace = (mixingRatio, from, label, labelAt, style) => {
+    const path = new Path2D();
+    const inside = [];
+
+    for (let i = 0; i <= PSYCHROMETRIC_LINE_SEGMENTS; i++) {
+      const temp = from + (i / PSYCHROMETRIC_LINE_SEGMENTS) * (xMax - from);
+      const x = scales.x.getPixelForValue(temp);
+      const y = scales.y.getPixelForValue(mixingRatio(temp));
+
+      if (i === 0) {
+        path.moveTo(x, y);
+      } else {
+        path.lineTo(x, y);
+      }
+
+      if (
+        x >= chartArea.left &&
+        x <= chartArea.right &&
+        y >= chartArea.top &&
+        y <= chartArea.bottom
+      ) {
+        inside.push([x, y]);
+      }
+    }
+
+    const end = labelAt === "start" ? inside[0] : inside[inside.length - 1];
+    if (!end) {
+      return { path, label: null, ...style };
+    }
+
+    // Labels at the start are left of the line, above saturation, and those at
+    // the end are right of it, unless that would leave the chart area.
+    const [x, y] = end;
+    /** @type {CanvasTextAlign} */
+    let align = labelAt === "start" ? "right" : "left";
+    if (x > chartArea.right - 50) {
+      align = "right";
+    } else if (x < chartArea.left + 50) {
+      align = "left";
+    }
+    /** @type {CanvasTextBaseline} */
+    const baseline = y < chartArea.top + 15 ? "top" : "bottom";
+
+    return {
+      path,
+      label: {
+        text: label,
+        x: x + (align === "left" ? 3 : -3),
+        y: y + (baseline === "top" ? 3 : -3),
+        align,
+        baseline,
+      },
+      ...style,
+    };
+  };
+
+  const lines = PSYCHROMETRIC_RH_LINES.map((rh) =>
+    trace(
+      (temp) => wetBulbCalculator.calculateMixingRatio(temp, rh, options),
+      xMin,
+      `${rh}%`,
+      "end",
+      rh === 100
+        ? { lineWidth: 2, dash: [], alpha: 0.7 }
+        : { lineWidth: 1, dash: [], alpha: 0.3 },
+    ),
+  );
+
+  // Wet bulb lines at round values of the selected unit. They fall steeply,
+  // so lines starting well left of the chart can still cross it.
+  const step = state.unit === "F" ? 10 : 5;
+  const lowest = fromCelsius(Math.max(-40, xMin - 40), state.unit);
+  for (
+    let value = Math.ceil(lowest / step) * step;
+    toCelsius(value, state.unit) < xMax;
+    value += step
+  ) {
+    const wetBulb = toCelsius(value, state.unit);
+    lines.push(
+      trace(
+        (temp) =>
+          wetBulbCalculator.calculateMixingRatioFromWetBulb(
+            temp,
+            wetBulb,
+            options,
+          ),
+        wetBulb,
+        formatThreshold(wetBulb),
+        "start",
+        { lineWidth: 1, dash: [6, 4], alpha: 0.35 },
+      ),
+    );
+  }
+
+  // Enthalpy lines, from where they meet saturation.
+  const highest = wetBulbCalculator.calculateEnthalpy(xMax, 100, options);
+  for (
+    let enthalpy =
+      Math.ceil(
+        wetBulbCalculator.calculateEnthalpy(xMin, 0) /
+          PSYCHROMETRIC_ENTHALPY_STEP,
+      ) * PSYCHROMETRIC_ENTHALPY_STEP;
+    enthalpy <= highest;
+    enthalpy += PSYCHROMETRIC_ENTHALPY_STEP
+  ) {
+    /** @param {number} temp */
+    const mixingRatio = (temp) =>
+      wetBulbCalculator.calculateMixingRatioFromEnthalpy(temp, enthalpy);
+
+    // The line falls and saturation rises with the air temperature, so
+    // bisect for where they meet.
+    let low = xMin;
+    let high = xMax;
+    if (mixingRatio(low) > saturation(low)) {
+      for (let i = 0; i < 30; i++) {
+        const mid = (low + high) / 2;
+        if (mixingRatio(mid) > saturation(mid)) {
+          low = mid;
+        } else {
+          high = mid;
+        }
+      }
+      low = high;
+    }
+
+    lines.push(
+      trace(mixingRatio, low, `${enthalpy} kJ/kg`, "end", {
+        lineWidth: 1,
+        dash: [1, 3],
+        alpha: 0.3,
+      }),
+    );
+  }
+
+  psychrometricLines = { key, color, lines };
+
+  return psychrometricLines;
+}
+
+/**
+ * Chart.js plugin drawing the lines of the psychrometric view behind the
+ * datasets. Their labels are toggled with the threshold labels.
+ * @type {import('chart.js').Plugin<"line">}
+ */
+const psychrometricChartPlugin = {
+  id: "psychrometricChart",
+  beforeDatasetsDraw(chart) {
+    if (state.chartView !== "psychrometric") return;
+
+    const { ctx, chartArea } = chart;
+    const { left, top, width, height } = chartArea;
+    const { color, lines } = getPsychrometricLines(chart);
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(left, top, width, height);
+    ctx.clip();
+
+    ctx.strokeStyle = color;
+    lines.forEach(({ path, lineWidth, dash, alpha }) => {
+      ctx.lineWidth = lineWidth;
+      ctx.setLineDash(dash);
+      ctx.globalAlpha = alpha;
+      ctx.stroke(path);
+    });
+
+    if (state.showLabels) {
+      ctx.fillStyle = color;
+      ctx.globalAlpha = 0.7;
+      ctx.font = `11px ${Chart.defaults.font.family}`;
+      lines.forEach(({ label }) => {
+        if (!label) return;
+
+        ctx.textAlign = label.align;
+        ctx.textBaseline = label.baseline;
+        ctx.fillText(label.text, label.x, label.y);
+      });
+    }
+
+    ctx.restore();
+  },
+};
+
+// Formula error view
+
+/** Error of Stull's approximation beyond which it is highlighted, in °C. */
+const FORMULA_ERROR_LIMIT = 0.3;
+
+/** Error at which the colors of the formula error view saturate, in °C. */
+const FORMULA_ERROR_RANGE = 1.5;
+
+/** Errors with thin contour lines, in °C. */
+const FORMULA_ERROR_CONTOURS = [-1, -0.5, 0.5, 1];
+
+/** Size of the cells the formula error is calculated in, in pixels. */
+const FORMULA_ERROR_CELL_SIZE = 8;
+
+/**
+ * Colors of errors where Stull's approximation is too low and too high.
+ * @type {Record<"under" | "over", [number, number, number]>}
+ */
+const FORMULA_ERROR_COLORS = { under: [37, 99, 235], over: [220, 38, 38] };
+
+/**
+ * Heatmap of the formula error view, kept until the visible window changes.
+ * @type {{
+ *   key: string,
+ *   color: string,
+ *   image: HTMLCanvasElement,
+ *   hatch: HTMLCanvasElement,
+ *   contours: { path: Path2D, lineWidth: number, dash: number[], alpha: number }[],
+ * } | null}
+ */
+let formulaErrorHeatmap = null;
+
+/**
+ * Calculate the error of Stull's approximation against the exact
+ * psychrometric solution at the station pressure.
+ * @param {number} temp Air temperature in Celsius.
+ * @param {number} rh Relative humidity in percentage (0% to 100%).
+ * @returns {number} Error in Celsius, positive where Stull is too high.
+ */
+function calculateFormulaError(temp, rh) {
+  return (
+    wetBulbCalculator.calculateStullWetBulb(temp, rh) -
+    wetBulbCalculator.calculatePsychrometricWetBulb(temp, rh, state.pressure)
+  );
+}
+
+/**
+ * Format an error of Stull's approximation in the selected unit, with its sign.
+ * @param {number} error Error in Celsius.
+ * @returns {string}
+ */
+function formatFormulaError(error) {
+  return `${error > 0 ? "+" : ""}${formatTemperatureDifference(error, state.unit, 2)}`;
+}
+
+/**
+ * Get the heatmap color of an error of Stull's approximation. Errors within
+ * the limit are faint, so those beyond it stand out.
+ * @param {number} error Error in Celsius.
+ * @returns {[number, number, number, number]} Red, green and blue from 0 to
+ * 255, and alpha from 0 to 1.
+ */
+function getFormulaErrorColor(error) {
+  const [red, green, blue] = FORMULA_ERROR_COLORS[error < 0 ? "under" : "over"];
+  const strength = Math.min(1, Math.abs(error) / FORMULA_ERROR_RANGE);
+  const alpha =
+    Math.abs(error) <= FORMULA_ERROR_LIMIT
+      ? 0.4 * strength
+      : 0.25 + 0.55 * strength;
+
+  return [red, green, blue, alpha];
+}
 
-      // Search in both directions from the current position.
-      const searchStep = (xMax - xMin) * 0.02;
-      let foundAlternative = false;
+/** Show the key of the formula error view in the selected unit. */
+function updateFormulaErrorKey() {
+  elements.formulaErrorKey.hidden = state.chartView !== "formula-error";
 
-      for (let direction of [1, -1]) {
-        for (let j = 1; j <= 10; j++) {
-          const newX = curr.x + direction * j * searchStep;
+  const stops = [];
+  for (let i = -15; i <= 15; i++) {
+    const [red, green, blue, alpha] = getFormulaErrorColor(
+      (i / 15) * FORMULA_ERROR_RANGE,
+    );
+    stops.push(`rgb(${red} ${green} ${blue} / ${alpha.toFixed(2)})`);
+  }
+  elements.formulaErrorBar.style.background = `linear-gradient(to right, ${stops.join(", ")})`;
 
-          // Check if newX is valid for this wet bulb temperature.
-          if (newX >= curr.wbtTemp && newX <= xMax && newX >= xMin) {
-            const newY = wetBulbCalculator.findHumidityForWetBulb(
-              newX,
-              curr.wbtTemp,
-            );
+  const ticks = [-1, -2 / 3, -1 / 3, 0, 1 / 3, 2 / 3, 1].map((fraction) => {
+    const difference = displayTemperatureDifference(
+      fraction * FORMULA_ERROR_RANGE,
+    );
+    const tick = document.createElement("span");
+    tick.style.left = `${(fraction + 1) * 50}%`;
+    tick.textContent = `${difference > 0 ? "+" : ""}${difference}`;
+    return tick;
+  });
+  elements.formulaErrorTicks.replaceChildren(...ticks);
+
+  elements.formulaErrorLimit.textContent = `±${formatTemperatureDifference(FORMULA_ERROR_LIMIT, state.unit)}`;
+  elements.formulaErrorContours.textContent = FORMULA_ERROR_CONTOURS.filter(
+    (level) => level > 0,
+  )
+    .map((level) => `±${formatTemperatureDifference(level, state.unit)}`)
+    .join(" and ");
+}
 
-            if (newY >= yMin && newY <= yMax && newY >= 0 && newY <= 100) {
-              const newPixelX = xScale.getPixelForValue(newX);
-              const newPixelY = yScale.getPixelForValue(newY);
+/**
+ * Trace a contour line through values on a grid with marching squares.
+ * @param {Float64Array} values Values at the grid nodes, row by row. Cells
+ * with a NaN corner are skipped.
+ * @param {number} columns
+ * @param {number} rows
+ * @param {number} level
+ * @returns {number[][]} Line segments as [x1, y1, x2, y2], in grid nodes.
+ */
+function traceContour(values, columns, rows, level) {
+  // Corners of a cell in order around it, so that consecutive corners share
+  // an edge.
+  const corners = [
+    [0, 0],
+    [1, 0],
+    [1, 1],
+    [0, 1],
+  ];
+  const segments = [];
 
-              // Check if new position maintains sufficient gap and stays
-              // within bounds.
-              const newVerticalGap = Math.abs(newPixelY - prev.pixelY);
-              if (
-                newVerticalGap >= labelHeight + padding &&
-                newPixelX - labelWidth / 2 >= chartArea.left &&
-                newPixelX + labelWidth / 2 <= chartArea.right &&
-                newPixelY - labelHeight / 2 >= chartArea.top &&
-                newPixelY + labelHeight / 2 <= chartArea.bottom
-              ) {
-                curr.x = newX;
-                curr.y = newY;
-                curr.pixelX = newPixelX;
-                curr.pixelY = newPixelY;
-                curr.rotation = calculateCurveAngle(newX, curr.wbtTemp);
-                foundAlternative = true;
-                break;
-              }
-            }
-          }
+  for (let row = 0; row < rows - 1; row++) {
+    for (let column = 0; column < columns - 1; column++) {
+      const cornerValues = corners.map(
+        ([x, y]) => values[(row + y) * columns + column + x],
+      );
+
+      if (cornerValues.some(isNaN)) continue;
+
+      // Find where the contour crosses the edges of the cell, interpolating
+      // between the corners.
+      const crossings = [];
+      for (let i = 0; i < 4; i++) {
+        const a = cornerValues[i];
+        const b = cornerValues[(i + 1) % 4];
+
+        if (a >= level !== b >= level) {
+          const t = (level - a) / (b - a);
+          const [x1, y1] = corners[i];
+          const [x2, y2] = corners[(i + 1) % 4];
+          crossings.push([
+            column + x1 + t * (x2 - x1),
+            row + y1 + t * (y2 - y1),
+          ]);
         }
-        if (foundAlternative) break;
+      }
+
+      // The contour crosses two edges, or all four at a saddle, where pairing
+      // the crossings in order around the cell keeps the lines apart.
+      for (let i = 0; i + 1 < crossings.length; i += 2) {
+        segments.push([...crossings[i], ...crossings[i + 1]]);
       }
     }
   }
 
-  return labelPositions;
+  return segments;
 }
 
 /**
- * Update chart annotations with calculated positions.
+ * Get the heatmap of the formula error view for the visible window of the
+ * chart, calculating it if the window has changed.
+ * @param {import('chart.js').Chart} chart
  */
-function updateChartAnnotations() {
-  if (!state.chart) return;
+function getFormulaErrorHeatmap(chart) {
+  const { chartArea, scales } = chart;
+  const { left, top, width, height } = chartArea;
+  const color = getChartTextColor(chart);
+  const key = [
+    scales.x.min,
+    scales.x.max,
+    scales.y.min,
+    scales.y.max,
+    width,
+    height,
+    state.pressure,
+    color,
+  ].join();
+
+  if (formulaErrorHeatmap?.key === key) {
+    return formulaErrorHeatmap;
+  }
 
-  if (!state.showLabels) {
-    // Clear all annotations when labels are hidden,
-    if (state.chart.options.plugins.annotation) {
-      state.chart.options.plugins.annotation.annotations = {};
-      state.chart.update("none");
+  // Calculate at the centers of the cells.
+  const columns = Math.max(2, Math.ceil(width / FORMULA_ERROR_CELL_SIZE));
+  const rows = Math.max(2, Math.ceil(height / FORMULA_ERROR_CELL_SIZE));
+  const cellWidth = width / columns;
+  const cellHeight = height / rows;
+  const temp = new Float64Array(columns * rows);
+  const rh = new Float64Array(columns * rows);
+
+  for (let row = 0; row < rows; row++) {
+    for (let column = 0; column < columns; column++) {
+      const i = row * columns + column;
+      temp[i] = scales.x.getValueForPixel(left + (column + 0.5) * cellWidth);
+      rh[i] = scales.y.getValueForPixel(top + (row + 0.5) * cellHeight);
     }
-    return;
   }
 
-  const positions = calculateLabelPositions();
-  if (!positions) return;
+  const stull = wetBulbCalculator.calculateWetBulbBatch(
+    { temp, rh },
+    { formula: "stull" },
+  );
+  const exact = wetBulbCalculator.calculateWetBulbBatch(
+    { temp, rh },
+    { formula: "psychrometric", pressure: state.pressure },
+  );
 
-  const annotations = {};
+  const errors = new Float64Array(columns * rows);
+  const artifact = new Float64Array(columns * rows);
+  const errorImage = new ImageData(columns, rows);
+  const artifactImage = new ImageData(columns, rows);
 
-  positions.forEach((pos) => {
-    // Calculate offset to position label to the left of the curve,
-    // The offset direction is perpendicular to the curve (90 degrees to the
-    // left).
-    const offsetDistance = -10; // Distance in pixels to offset the label.
-    const offsetX = offsetDistance * Math.cos(pos.rotation - Math.PI / 2);
-    const offsetY = offsetDistance * Math.sin(pos.rotation - Math.PI / 2);
+  for (let i = 0; i < errors.length; i++) {
+    if (rh[i] < 0 || rh[i] > 100) {
+      errors[i] = NaN;
+      artifact[i] = NaN;
+      continue;
+    }
 
-    annotations[pos.id] = {
-      type: "label",
-      xValue: pos.x,
-      yValue: pos.y,
-      xAdjust: offsetX,
-      yAdjust: offsetY,
-      color: pos.bgColor, // Use the danger zone color for text.
-      content: pos.label,
-      font: {
-        size: 12,
-        weight: "bold",
-      },
-      padding: 6,
-      borderRadius: 4,
-      rotation: pos.rotation * (180 / Math.PI), // Convert radians to degrees.
-      textAlign: "center",
-    };
-  });
+    errors[i] = stull[i] - exact[i];
+    // The low-humidity artifact is where Stull's wet bulb temperature falls
+    // as humidity rises, below the minimum that findHumidityForWetBulb
+    // searches above.
+    artifact[i] =
+      wetBulbCalculator.calculateStullWetBulb(temp[i], rh[i] + 0.01) < stull[i]
+        ? 1
+        : 0;
+
+    const [red, green, blue, alpha] = getFormulaErrorColor(errors[i]);
+    errorImage.data.set([red, green, blue, alpha * 255], i * 4);
+    artifactImage.data[i * 4 + 3] = artifact[i] * 255;
+  }
 
-  // Update the chart's annotation configuration.
-  if (state.chart.options.plugins.annotation) {
-    state.chart.options.plugins.annotation.annotations = annotations;
-    state.chart.update("none");
+  /**
+   * Draw image data onto a new canvas.
+   * @param {ImageData} imageData
+   */
+  const toCanvas = (imageData) => {
+    const canvas = document.createElement("canvas");
+    canvas.width = imageData.width;
+    canvas.height = imageData.height;
+    canvas.getContext("2d").putImageData(imageData, 0, 0);
+    return canvas;
+  };
+
+  // Hatch the artifact by cutting diagonal lines to its cells.
+  const tile = document.createElement("canvas");
+  tile.width = 8;
+  tile.height = 8;
+  const tileContext = tile.getContext("2d");
+  tileContext.strokeStyle = color;
+  tileContext.globalAlpha = 0.6;
+  tileContext.beginPath();
+  for (const offset of [-8, 0, 8]) {
+    tileContext.moveTo(offset, 8);
+    tileContext.lineTo(offset + 8, 0);
   }
+  tileContext.stroke();
+
+  const hatch = document.createElement("canvas");
+  hatch.width = Math.round(width);
+  hatch.height = Math.round(height);
+  const hatchContext = hatch.getContext("2d");
+  hatchContext.fillStyle = hatchContext.createPattern(tile, "repeat");
+  hatchContext.fillRect(0, 0, hatch.width, hatch.height);
+  hatchContext.globalCompositeOperation = "destination-in";
+  hatchContext.drawImage(
+    toCanvas(artifactImage),
+    0,
+    0,
+    hatch.width,
+    hatch.height,
+  );
+
+  /**
+   * Trace a contour as a path on the chart.
+   * @param {Float64Array} values
+   * @param {number} level
+   */
+  const contourPath = (values, level) => {
+    const path = new Path2D();
+    for (const [x1, y1, x2, y2] of traceContour(values, columns, rows, level)) {
+      path.moveTo(left + (x1 + 0.5) * cellWidth, top + (y1 + 0.5) * cellHeight);
+      path.lineTo(left + (x2 + 0.5) * cellWidth, top + (y2 + 0.5) * cellHeight);
+    }
+    return path;
+  };
+
+  formulaErrorHeatmap = {
+    key,
+    color,
+    image: toCanvas(errorImage),
+    hatch,
+    contours: [
+      ...FORMULA_ERROR_CONTOURS.map((level) => ({
+        path: contourPath(errors, level),
+        lineWidth: 1,
+        dash: [],
+        alpha: 0.5,
+      })),
+      ...[-FORMULA_ERROR_LIMIT, FORMULA_ERROR_LIMIT].map((level) => ({
+        path: contourPath(errors, level),
+        lineWidth: 2.5,
+        dash: [],
+        alpha: 1,
+      })),
+      {
+        path: contourPath(artifact, 0.5),
+        lineWidth: 1.5,
+        dash: [4, 3],
+        alpha: 1,
+      },
+    ],
+  };
+
+  return formulaErrorHeatmap;
 }
 
+/**
+ * Chart.js plugin drawing the formula error view behind the datasets: the
+ * error of Stull's approximation as a heatmap with contour lines, and its
+ * low-humidity artifact hatched.
+ * @type {import('chart.js').Plugin<"line">}
+ */
+const formulaErrorPlugin = {
+  id: "formulaError",
+  beforeDatasetsDraw(chart) {
+    if (state.chartView !== "formula-error") return;
+
+    const { ctx, chartArea } = chart;
+    const { left, top, width, height } = chartArea;
+    const heatmap = getFormulaErrorHeatmap(chart);
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(left, top, width, height);
+    ctx.clip();
+
+    ctx.imageSmoothingEnabled = true;
+    ctx.drawImage(heatmap.image, left, top, width, height);
+    ctx.drawImage(heatmap.hatch, left, top, width, height);
+
+    ctx.strokeStyle = heatmap.color;
+    heatmap.contours.forEach(({ path, lineWidth, dash, alpha }) => {
+      ctx.lineWidth = lineWidth;
+      ctx.setLineDash(dash);
+      ctx.globalAlpha = alpha;
+      ctx.stroke(path);
+    });
+
+    ctx.restore();
+  },
+};
+
 /**
  * Set up the chart with initial data and configuration.
  */
@@ -769,9 +3353,16 @@ function setupChart() {
   const config = {
     type: "line",
     data: data,
+    plugins: [
+      wetBulbHeatmapPlugin,
+      psychrometricChartPlugin,
+      formulaErrorPlugin,
+      chartCrosshairPlugin,
+    ],
     options: {
       responsive: true,
       maintainAspectRatio: false,
+      onClick: handleChartClick,
       aspectRatio: 1.5,
       layout: {
         padding: {
@@ -784,7 +3375,7 @@ function setupChart() {
       plugins: {
         title: {
           display: true,
-          text: "Temperature vs Humidity: Human Survivability Limits",
+          text: chartViews[state.chartView].title,
           font: {
             size: 16,
             weight: "bold",
@@ -803,6 +3394,15 @@ function setupChart() {
                 (ds) => ds.label === item.text,
               );
 
+              // Hide datasets the chart view leaves out, and the danger zones,
+              // which are described on hover instead.
+              if (
+                dataset?.hidden ||
+                (dataset && "fill" in dataset && dataset.fill)
+              ) {
+                return false;
+              }
+
               // Hide the selected curve and current condition if they have no
               // data.
               if (
@@ -824,6 +3424,8 @@ function setupChart() {
             generateLabels: function (chart) {
               const labels =
                 Chart.defaults.plugins.legend.labels.generateLabels(chart);
+              const levels =
+                wetBulbCalculator.getDangerLevels(getDangerOptions());
               // Customize the labels.
               labels.forEach((label) => {
                 // Update selected curve label.
@@ -831,18 +3433,15 @@ function setupChart() {
                   label.text === "Selected Wet Bulb Curve" &&
                   state.wetBulbTemp !== null
                 ) {
-                  label.text = `${state.wetBulbTemp.toFixed(1)}°C Wet Bulb`;
+                  label.text = `${formatTemperature(state.wetBulbTemp, state.unit)} Wet Bulb`;
                 }
 
                 // Update isotherm labels to include danger level.
-                if (label.text === "19°C") {
-                  label.text = "19°C Caution";
-                } else if (label.text === "25°C") {
-                  label.text = "25°C Extreme";
-                } else if (label.text === "28°C") {
-                  label.text = "28°C Dangerous";
-                } else if (label.text === "31°C") {
-                  label.text = "31°C Unsurvivable";
+                const level = levels.find(
+                  ({ min }) => label.text === formatThreshold(min),
+                );
+                if (level) {
+                  label.text = `${label.text} ${level.label}`;
                 }
               });
               return labels;
@@ -852,13 +3451,33 @@ function setupChart() {
         tooltip: {
           callbacks: {
             label: function (context) {
-              const point =
-                /** @type {import('chart.js').Point & { wetBulb?: number }} */ (
-                  context.raw
-                );
+              const point = /** @type {ChartPoint} */ (context.raw);
+              const rh = point.rh ?? point.y;
               const wetBulb =
                 point.wetBulb ||
-                wetBulbCalculator.calculateWetBulb(point.x, point.y);
+                wetBulbCalculator.calculateWetBulb(
+                  point.x,
+                  rh,
+                  getCalculationOptions(),
+                );
+
+              // Flag points outside the domain of the formula.
+              const notes = wetBulbCalculator.isInDomain(
+                point.x,
+                rh,
+                state.formula,
+              )
+                ? []
+                : ["Extrapolated, outside the valid range"];
+
+              if (state.chartView === "psychrometric") {
+                notes.unshift(`Humidity Ratio: ${point.y.toFixed(1)} g/kg`);
+              }
+              if (state.chartView === "formula-error") {
+                notes.push(
+                  `Stull Error: ${formatFormulaError(calculateFormulaError(point.x, rh))}`,
+                );
+              }
 
               if (
                 context.dataset.label === "Selected Wet Bulb Curve" ||
@@ -866,33 +3485,35 @@ function setupChart() {
               ) {
                 // Show temperature and humidity breakdown for isotherm lines.
                 return [
-                  `Temperature: ${point.x.toFixed(1)}°C`,
-                  `Humidity: ${point.y.toFixed(0)}%`,
-                  `Wet Bulb: ${wetBulb.toFixed(1)}°C`,
+                  `Temperature: ${formatTemperature(point.x, state.unit)}`,
+                  `Humidity: ${rh.toFixed(0)}%`,
+                  `Wet Bulb: ${formatTemperature(wetBulb, state.unit)}`,
+                  ...notes,
                 ];
               }
 
               return [
-                `Temperature: ${point.x.toFixed(1)}°C`,
-                `Humidity: ${point.y.toFixed(0)}%`,
-                `Wet Bulb: ${wetBulb.toFixed(1)}°C`,
+                `Temperature: ${formatTemperature(point.x, state.unit)}`,
+                `Humidity: ${rh.toFixed(0)}%`,
+                `Wet Bulb: ${formatTemperature(wetBulb, state.unit)}`,
+                ...notes,
               ];
             },
             title: function (tooltipItems) {
               if (tooltipItems.length > 0) {
-                const point =
-                  /** @type {import('chart.js').Point & { wetBulb?: number }} */ (
-                    tooltipItems[0].raw
-                  );
+                const point = /** @type {ChartPoint} */ (tooltipItems[0].raw);
                 const wetBulb =
                   point.wetBulb ||
-                  wetBulbCalculator.calculateWetBulb(point.x, point.y);
-                const dangerLevel = wetBulbCalculator.getDangerLevel(wetBulb);
-                return (
-                  dangerLevel.level.charAt(0).toUpperCase() +
-                  dangerLevel.level.slice(1) +
-                  " Zone"
+                  wetBulbCalculator.calculateWetBulb(
+                    point.x,
+                    point.rh ?? point.y,
+                    getCalculationOptions(),
+                  );
+                const dangerLevel = wetBulbCalculator.getDangerLevel(
+                  wetBulb,
+                  getDangerOptions(),
                 );
+                return `${dangerLevel.label} Zone`;
               }
               return "";
             },
@@ -919,6 +3540,8 @@ function setupChart() {
           pan: {
             enabled: true,
             mode: "xy",
+            // Dragging the current condition doesn't pan the chart.
+            onPanStart: () => conditionDragPointer === null,
           },
         },
       },
@@ -928,7 +3551,7 @@ function setupChart() {
           position: "bottom",
           title: {
             display: true,
-            text: "Air Temperature (°C)",
+            text: `Air Temperature (${temperatureUnits[state.unit].symbol})`,
             font: {
               size: 14,
               weight: "bold",
@@ -940,7 +3563,10 @@ function setupChart() {
             stepSize: 5,
             precision: 1,
             includeBounds: false,
+            callback: (value) =>
+              String(displayTemperature(/** @type {number} */ (value))),
           },
+          afterBuildTicks: buildTemperatureTicks,
           grid: {
             display: state.showGrid,
           },
@@ -976,62 +3602,217 @@ function setupChart() {
   // Add event listeners for zoom and pan.
   state.chart.options.plugins.zoom.zoom.onZoom = function () {
     updateChartAnnotations();
+    updateWetBulbHeatmap();
   };
 
   state.chart.options.plugins.zoom.pan.onPan = function () {
     updateChartAnnotations();
+    updateWetBulbHeatmap();
   };
 
   updateChart();
 }
 
 /**
- * Generates datasets for wet bulb isotherms at critical thresholds.
+ * Extend the air temperature axis below freezing when the current conditions
+ * need it, keeping the 0°C to 50°C view otherwise. Panning is limited to the
+ * domain of the formula. The formula error view always shows the domain of
+ * Stull's approximation.
+ * @param {import('chart.js').CartesianScaleOptions} xScale
+ */
+function updateChartTemperatureRange(xScale) {
+  // The formula error view covers the whole domain of Stull's approximation.
+  const formulaError = state.chartView === "formula-error";
+  const { minTemp } =
+    wetBulbCalculator.formulas[formulaError ? "stull" : state.formula].domain;
+  const lowest = modes[state.mode].inputs.includes("wetbulb")
+    ? state.wetBulbTemp
+    : state.airTemp;
+  const axisMin = formulaError
+    ? minTemp
+    : Math.max(minTemp, Math.min(0, Math.floor((lowest - 5) / 10) * 10));
+
+  state.chart.options.plugins.zoom.limits.x.min = minTemp;
+
+  // Only move the axis when the range changes, to keep the user's zoom.
+  if (axisMin !== state.chartMinTemp) {
+    state.chartMinTemp = axisMin;
+    xScale.min = axisMin;
+  }
+}
+
+/**
+ * Show relative humidity on the y axis, or the mixing ratio in the
+ * psychrometric view. The mixing ratio axis is extended when the current
+ * conditions need it, and panning is limited to saturation at 50°C.
+ * @param {import('chart.js').LinearScaleOptions} yScale
+ */
+function updateChartHumidityAxis(yScale) {
+  const psychrometric = state.chartView === "psychrometric";
+  let limit = 100;
+  let axisMax = 100;
+
+  if (psychrometric) {
+    limit =
+      Math.ceil(
+        wetBulbCalculator.calculateMixingRatio(
+          50,
+          100,
+          getCalculationOptions(),
+        ) / 10,
+      ) * 10;
+    // The highest point shown is the current condition, or where the
+    // selected wet bulb curve meets saturation.
+    const highest = modes[state.mode].inputs.includes("wetbulb")
+      ? getChartY(state.wetBulbTemp, 100)
+      : getChartY(state.airTemp, state.humidity);
+    axisMax = Math.min(limit, Math.max(30, Math.ceil((highest + 5) / 10) * 10));
+  }
+
+  state.chart.options.plugins.zoom.limits.y.max = limit;
+  yScale.title.text = psychrometric
+    ? "Humidity Ratio (g/kg)"
+    : "Relative Humidity (%)";
+  yScale.ticks.stepSize = psychrometric ? 5 : 10;
+
+  // Only move the axis when the range changes, to keep the user's zoom.
+  if (axisMax !== state.chartMaxY) {
+    state.chartMaxY = axisMax;
+    yScale.max = axisMax;
+  }
+}
+
+/**
+ * Place the air temperature ticks at round values of the selected unit. The
+ * chart data stays in Celsius, so the ticks are converted back.
+ * @param {import('chart.js').Scale} axis
+ */
+function buildTemperatureTicks(axis) {
+  if (state.unit === "C") return;
+
+  const min = fromCelsius(axis.min, state.unit);
+  const max = fromCelsius(axis.max, state.unit);
+
+  // Aim for about as many ticks as Celsius would get.
+  const targetCount = Math.max(2, axis.ticks.length);
+  const step =
+    [1, 2, 5, 10, 20, 50].find((s) => (max - min) / s <= targetCount) ?? 100;
+
+  /** @type {import('chart.js').Tick[]} */
+  const ticks = [];
+  for (let value = Math.ceil(min / step) * step; value <= max; value += step) {
+    // Skip ticks at the bounds, like the Celsius ticks.
+    const celsius = toCelsius(value, state.unit);
+    if (celsius > axis.min + 1e-9 && celsius < axis.max - 1e-9) {
+      ticks.push({ value: celsius });
+    }
+  }
+  axis.ticks = ticks;
+}
+
+/** Media query for the dark theme, which the danger zones are filled for. */
+const darkThemeQuery = window.matchMedia("(prefers-color-scheme: dark)");
+
+/**
+ * Create points along saturation between two air temperatures.
+ * @param {number} from
+ * @param {number} to
+ * @returns {ChartPoint[]}
+ */
+function generateSaturationPoints(from, to) {
+  const points = [];
+
+  for (let temp = from; temp < to; temp += 0.5) {
+    points.push(createChartPoint(temp, 100));
+  }
+  if (from < to) {
+    points.push(createChartPoint(to, 100));
+  }
+
+  return points;
+}
+
+/**
+ * Generates datasets for wet bulb isotherms at critical thresholds, and the
+ * danger zones filled between them.
  */
 function generateIsothermDatasets() {
-  const wetBulbTemps = [19, 25, 28, 31]; // Critical thresholds.
-
-  // Define colors to match the danger zones.
-  const isothermColors = {
-    19: "#f59e0b", // Caution - yellow/amber.
-    25: "#f97316", // Extreme - orange.
-    28: "#ef4444", // Danger - red.
-    31: "#991b1b", // Unsurvivable - dark red.
-  };
+  const options = getCalculationOptions();
+  const { minTemp } = wetBulbCalculator.formulas[state.formula].domain;
+  const allLevels = wetBulbCalculator.getDangerLevels(getDangerOptions());
+  // Isotherms at the critical thresholds, colored to match the danger zones.
+  const levels = allLevels.slice(1);
+  // The formula error view leaves out the danger levels.
+  const hidden = state.chartView === "formula-error";
 
   const datasets = [];
+  const boundaries = [];
 
-  wetBulbTemps.forEach((wbt, index) => {
+  levels.forEach(({ min: wbt, level, color }) => {
     const data = [];
 
     // Generate points for this specific isotherm.
     for (let temp = wbt; temp <= 50; temp += 0.5) {
-      const humidity = wetBulbCalculator.findHumidityForWetBulb(temp, wbt);
-      if (humidity >= 0 && humidity <= 100) {
-        data.push({
-          x: temp,
-          y: humidity,
-          wetBulb: wbt,
-        });
+      const humidity = getCurveHumidity(temp, wbt, options);
+      if (!isNaN(humidity)) {
+        data.push(createChartPoint(temp, humidity, wbt));
       }
     }
 
     // Create a dataset for this isotherm with appropriate color.
     datasets.push({
-      label: `${wbt}°C`,
+      label: formatThreshold(wbt),
       data: data,
-      borderColor: isothermColors[wbt],
-      backgroundColor: `${isothermColors[wbt]}33`, // 20% opacity.
+      borderColor: color,
+      backgroundColor: `${color}33`, // 20% opacity.
       showLine: true,
       pointRadius: 0,
       pointHitRadius: 10,
-      borderWidth: wbt === 31 ? 3 : 2, // Make lines more visible.
+      borderWidth: level === "unsurvivable" ? 3 : 2, // Make lines more visible.
       tension: 0.1,
       fill: false,
+      hidden,
     });
+
+    // The zones are bounded by the isotherm, and by saturation where the air
+    // is colder than its wet bulb temperature.
+    boundaries.push([...generateSaturationPoints(minTemp, wbt), ...data]);
   });
 
-  return datasets;
+  // Fill each zone down to the isotherm below it, the first down to dry air
+  // and the last up from its isotherm to saturation. The zones are drawn
+  // first, under the lines, and are more opaque in the dark theme to show
+  // against its background. The wet bulb heatmap replaces them.
+  const opacity = darkThemeQuery.matches ? "40" : "24"; // 25% or 14%.
+  const zones = allLevels.map(({ label, color }, i) => ({
+    label: `${label} Zone`,
+    data: boundaries[i] ?? generateSaturationPoints(minTemp, 50),
+    borderWidth: 0,
+    backgroundColor: `${color}${opacity}`,
+    pointRadius: 0,
+    pointHitRadius: 0,
+    tension: 0.1,
+    fill: i === 0 ? "origin" : "-1",
+    order: 1,
+    hidden: hidden || state.showHeatmap,
+  }));
+
+  return [...zones, ...datasets];
+}
+
+/**
+ * Regenerate the threshold isotherm datasets, e.g. after the formula or the
+ * thresholds change.
+ */
+function updateIsotherms() {
+  if (!state.chart) return;
+
+  const isothermDatasets = generateIsothermDatasets();
+  state.chart.data.datasets.splice(
+    0,
+    isothermDatasets.length,
+    ...isothermDatasets,
+  );
 }
 
 /**
@@ -1041,6 +3822,7 @@ function generateIsothermDatasets() {
  * curve must pass through.
  */
 function generateIsothermCurve(wetBulbTemp, anchorPoint = null) {
+  const options = getCalculationOptions();
   const curve = [];
   const temperatures = [];
 
@@ -1076,36 +3858,30 @@ function generateIsothermCurve(wetBulbTemp, anchorPoint = null) {
 
     // If this is the anchor point temperature, use the anchor humidity.
     if (anchorPoint && Math.abs(temp - anchorPoint.temp) < 0.01) {
-      curve.push({
-        x: anchorPoint.temp,
-        y: anchorPoint.humidity,
-        wetBulb: wetBulbTemp,
-      });
+      curve.push(
+        createChartPoint(anchorPoint.temp, anchorPoint.humidity, wetBulbTemp),
+      );
 
       // Check if anchor point is at 0% humidity.
       if (anchorPoint.humidity === 0) {
         reachedZeroHumidity = true;
       }
     } else {
-      const humidity = wetBulbCalculator.findHumidityForWetBulb(
+      const result = wetBulbCalculator.findHumidityForWetBulbResult(
         temp,
         wetBulbTemp,
+        options,
       );
 
-      // Only add valid points.
-      if (humidity >= 0 && humidity <= 100) {
-        curve.push({
-          x: temp,
-          y: humidity,
-          wetBulb: wetBulbTemp,
-        });
-
-        // If we hit 0% humidity, stop generating points.
-        if (humidity === 0) {
-          reachedZeroHumidity = true;
-        }
-      } else if (humidity < 0) {
-        // If we get an invalid humidity, stop the curve here.
+      // Only add points the curve passes through. Clamped humidities lie on
+      // the edges of the chart instead, and once the curve runs past dry air
+      // it has ended. Ambiguous humidities are left out.
+      if (result.ambiguous) {
+        continue;
+      }
+      if (!result.clamped && !result.noSolution) {
+        curve.push(createChartPoint(temp, result.rawValue, wetBulbTemp));
+      } else if (result.noSolution || result.rawValue === 0) {
         break;
       }
     }
@@ -1131,6 +3907,17 @@ function updateChart() {
     const isothermCurve = generateIsothermCurve(state.wetBulbTemp);
     state.chart.data.datasets[selectedCurveIndex].data = isothermCurve; // Selected curve.
     state.chart.data.datasets[currentConditionIndex].data = []; // No specific point.
+  } else if (state.mode === "wetbulb-humidity-input") {
+    // Show the selected wet bulb isotherm with the solved air temperature on
+    // it.
+    const isothermCurve = generateIsothermCurve(state.wetBulbTemp, {
+      temp: state.airTemp,
+      humidity: state.humidity,
+    });
+    state.chart.data.datasets[selectedCurveIndex].data = isothermCurve; // Selected curve.
+    state.chart.data.datasets[currentConditionIndex].data = [
+      createChartPoint(state.airTemp, state.humidity),
+    ]; // Specific point.
   } else {
     // Temperature and humidity input mode.
 
@@ -1138,6 +3925,7 @@ function updateChart() {
     const wetBulb = wetBulbCalculator.calculateWetBulb(
       state.airTemp,
       state.humidity,
+      getCalculationOptions(),
     );
     // Pass the anchor point to ensure the curve goes through the exact user-
     // selected point.
@@ -1147,18 +3935,190 @@ function updateChart() {
     });
     state.chart.data.datasets[selectedCurveIndex].data = isothermCurve; // Selected curve.
     state.chart.data.datasets[currentConditionIndex].data = [
-      { x: state.airTemp, y: state.humidity },
+      createChartPoint(state.airTemp, state.humidity),
     ]; // Specific point.
   }
 
+  // Update the temperature unit and range of the axis.
+  const xScale = /** @type {import('chart.js').CartesianScaleOptions} */ (
+    state.chart.options.scales.x
+  );
+  xScale.title.text = `Air Temperature (${temperatureUnits[state.unit].symbol})`;
+  updateChartTemperatureRange(xScale);
+  updateChartHumidityAxis(
+    /** @type {import('chart.js').LinearScaleOptions} */ (
+      state.chart.options.scales.y
+    ),
+  );
+
   state.chart.update("none");
 
   // Update label positions after chart update.
   updateChartAnnotations();
+  updateWetBulbHeatmap();
+}
+
+// Chart interaction
+
+/** Distance in pixels within which the current condition can be grabbed. */
+const CONDITION_GRAB_RADIUS = 16;
+
+/**
+ * Pointer dragging the current condition on the chart.
+ * @type {number | null}
+ */
+let conditionDragPointer = null;
+
+/**
+ * Get the position of a pointer on the chart, in the pixels of its scales.
+ * @param {PointerEvent} event
+ */
+function getChartPointerPosition(event) {
+  const rect = elements.chartCanvas.getBoundingClientRect();
+  return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+}
+
+/**
+ * Set the conditions to a position on the chart. In the modes that take an
+ * air temperature this moves the current condition there, and in the wet bulb
+ * modes it selects the isotherm through it. Values are rounded to the steps
+ * of the sliders.
+ * @param {number} x
+ * @param {number} y
+ */
+function setConditionFromChart(x, y) {
+  const { scales } = state.chart;
+  const { sliderStep } = temperatureUnits[state.unit];
+  /** @param {number} celsius */
+  const roundTemperature = (celsius) =>
+    toCelsius(
+      Math.round(fromCelsius(celsius, state.unit) / sliderStep) * sliderStep,
+      state.unit,
+    );
+
+  const { minTemp } = wetBulbCalculator.formulas[state.formula].domain;
+  const temp = roundTemperature(
+    Math.max(
+      minTemp,
+      temperatureInputs.airTemp.min,
+      Math.min(temperatureInputs.airTemp.max, scales.x.getValueForPixel(x)),
+    ),
+  );
+  const rh = Math.round(
+    Math.max(
+      5,
+      Math.min(100, getChartHumidity(temp, scales.y.getValueForPixel(y))),
+    ),
+  );
+  const { inputs } = modes[state.mode];
+
+  if (inputs.includes("wetbulb")) {
+    const wetBulb = wetBulbCalculator.calculateWetBulb(
+      temp,
+      rh,
+      getCalculationOptions(),
+    );
+    state.wetBulbTemp = Math.max(
+      temperatureInputs.wetBulbTemp.min,
+      Math.min(temperatureInputs.wetBulbTemp.max, roundTemperature(wetBulb)),
+    );
+    if (inputs.includes("humidity")) {
+      state.humidity = rh;
+    }
+  } else {
+    state.airTemp = temp;
+    state.humidity = rh;
+    if (inputs.includes("dewpoint")) {
+      state.dewPoint = wetBulbCalculator.calculateDewPoint(temp, rh);
+    }
+  }
+
+  updateCalculations();
+  updateConditionInputs();
+  updateChart();
+}
+
+/**
+ * Set the conditions to where the chart is clicked. Clicks ending a pan are
+ * filtered out by the zoom plugin.
+ * @param {import('chart.js').ChartEvent} event
+ */
+function handleChartClick(event) {
+  if (!state.chart.isPointInArea({ x: event.x, y: event.y })) return;
+
+  setConditionFromChart(event.x, event.y);
+  updateURL();
+}
+
+/**
+ * Start dragging the current condition if the pointer is on it.
+ * @param {PointerEvent} event
+ */
+function handleChartPointerDown(event) {
+  const point = /** @type {ChartPoint | undefined} */ (
+    state.chart.data.datasets.find(({ label }) => label === "Current Condition")
+      .data[0]
+  );
+
+  if (!event.isPrimary || !point) return;
+
+  const { x, y } = getChartPointerPosition(event);
+  const distance = Math.hypot(
+    state.chart.scales.x.getPixelForValue(point.x) - x,
+    state.chart.scales.y.getPixelForValue(point.y) - y,
+  );
+
+  if (distance <= CONDITION_GRAB_RADIUS) {
+    conditionDragPointer = event.pointerId;
+    elements.chartCanvas.setPointerCapture(event.pointerId);
+  }
+}
+
+/**
+ * Move the current condition with the pointer dragging it.
+ * @param {PointerEvent} event
+ */
+function handleChartPointerMove(event) {
+  if (event.pointerId !== conditionDragPointer) return;
+
+  const { x, y } = getChartPointerPosition(event);
+  setConditionFromChart(x, y);
+}
+
+/**
+ * Stop dragging the current condition, and record where it was left in the
+ * URL.
+ * @param {PointerEvent} event
+ */
+function handleChartPointerUp(event) {
+  if (event.pointerId !== conditionDragPointer) return;
+
+  conditionDragPointer = null;
+  updateURL();
 }
 
 // Chart control functions
 
+/** Switch the chart between its views. */
+function handleChartViewChange() {
+  const view = elements.chartViewSelect.value;
+
+  if (!(view in chartViews)) {
+    return;
+  }
+
+  state.chartView = /** @type {ChartView} */ (view);
+
+  // Each view has its own range, so start from its default zoom.
+  state.chart.resetZoom("none");
+  state.chart.options.plugins.title.text = chartViews[state.chartView].title;
+  updateFormulaErrorKey();
+  updateWetBulbHeatmapKey();
+  updateIsotherms();
+  updateChart();
+  updateURL();
+}
+
 /**
  * Reset the chart zoom to default view.
  */
@@ -1202,13 +4162,43 @@ function toggleGrid() {
   }
 }
 
+/**
+ * Toggle the wet bulb heatmap, which replaces the danger zone fills while it
+ * is shown.
+ */
+function toggleHeatmap() {
+  state.showHeatmap = !state.showHeatmap;
+  updateWetBulbHeatmapKey();
+  updateIsotherms();
+  updateChart();
+
+  if (elements.toggleHeatmapBtn) {
+    elements.toggleHeatmapBtn.classList.toggle("active", state.showHeatmap);
+  }
+}
+
+/**
+ * Toggle the isotherm drawn through the pointer.
+ */
+function toggleHoverIsotherm() {
+  state.showHoverIsotherm = !state.showHoverIsotherm;
+
+  if (elements.toggleHoverIsothermBtn) {
+    elements.toggleHoverIsothermBtn.classList.toggle(
+      "active",
+      state.showHoverIsotherm,
+    );
+  }
+}
+
 /** Handle chart resize events. */
 function handleChartResize() {
   if (state.chart) {
     state.chart.resize();
-    // Update label positions after resize.
+    // Update label positions and the heatmap after resize.
     setTimeout(() => {
       updateChartAnnotations();
+      updateWetBulbHeatmap();
     }, 100);
   }
 }
@@ -1236,6 +4226,15 @@ document.addEventListener("DOMContentLoaded", () => {
   if (elements.toggleGridBtn) {
     elements.toggleGridBtn.classList.toggle("active", state.showGrid);
   }
+  if (elements.toggleHeatmapBtn) {
+    elements.toggleHeatmapBtn.classList.toggle("active", state.showHeatmap);
+  }
+  if (elements.toggleHoverIsothermBtn) {
+    elements.toggleHoverIsothermBtn.classList.toggle(
+      "active",
+      state.showHoverIsotherm,
+    );
+  }
 
   // Initial annotation setup.
   setTimeout(() => {
@@ -0,0 +1,98 @@
+/**
+ * Temperature units for display. The calculator works in Celsius throughout,
+ * so temperatures are only converted where they are entered or shown.
+ */
+
+/**
+ * @typedef {"C" | "F" | "K"} TemperatureUnit
+ */
+
+/**
+ * @typedef {{
+ *   name: string,
+ *   symbol: string,
+ *   scale: number,
+ *   offset: number,
+ *   sliderStep: number,
+ * }} TemperatureUnitInfo
+ * A temperature unit, related to Celsius by `value = celsius * scale + offset`.
+ */
+
+/** @type {Record<TemperatureUnit, TemperatureUnitInfo>} */
+export const temperatureUnits = {
+  C: { name: "Celsius", symbol: "°C", scale: 1, offset: 0, sliderStep: 0.5 },
+  F: {
+    name: "Fahrenheit",
+    symbol: "°F",
+    scale: 1.8,
+    offset: 32,
+    sliderStep: 1,
+  },
+  K: { name: "Kelvin", symbol: "K", scale: 1, offset: 273.15, sliderStep: 0.5 },
+};
+
+/**
+ * Check whether a value names a temperature unit.
+ * @param {unknown} value
+ * @returns {value is TemperatureUnit}
+ */
+export function isTemperatureUnit(value) {
+  return typeof value === "string" && Object.hasOwn(temperatureUnits, value);
+}
+
+/**
+ * Convert a temperature from Celsius.
+ * @param {number} celsius
+ * @param {TemperatureUnit} unit
+ * @returns {number}
+ */
+export function fromCelsius(celsius, unit) {
+  const { scale, offset } = temperatureUnits[unit];
+  return celsius * scale + offset;
+}
+
+/**
+ * Convert a temperature to Celsius.
+ * @param {number} value
+ * @param {TemperatureUnit} unit
+ * @returns {number}
+ */
+export function toCelsius(value, unit) {
+  const { scale, offset } = temperatureUnits[unit];
+  return (value - offset) / scale;
+}
+
+/**
+ * Get the suffix to write after a temperature value. Kelvin is separated from
+ * its value by a space, degrees are not.
+ * @param {TemperatureUnit} unit
+ * @returns {string}
+ */
+export function temperatureSuffix(unit) {
+  const { symbol } = temperatureUnits[unit];
+  return symbol.startsWith("°") ? symbol : ` ${symbol}`;
+}
+
+/**
+ * Format a temperature with its unit symbol.
+ * @param {number} celsius
+ * @param {TemperatureUnit} unit
+ * @param {number} [digits] Number of decimal places.
+ * @returns {string}
+ */
+export function formatTemperature(celsius, unit, digits = 1) {
+  return `${fromCelsius(celsius, unit).toFixed(digits)}${temperatureSuffix(unit)}`;
+}
+
+/**
+ * Format a difference between two temperatures with its unit symbol. Only the
+ * scale of the unit applies, as the offsets cancel out.
+ * @param {number} celsius Temperature difference in Celsius.
+ * @param {TemperatureUnit} unit
+ * @param {number} [digits] Number of decimal places.
+ * @returns {string}
+ */
+export function formatTemperatureDifference(celsius, unit, digits = 1) {
+  const { scale } = temperatureUnits[unit];
+  return `${(celsius * scale).toFixed(digits)}${temperatureSuffix(unit)}`;
+}
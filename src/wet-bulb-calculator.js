@@ -1,235 +1,2242 @@
 /**
  * Wet Bulb Temperature Calculator
- * Uses the Stull approximation for wet bulb temperature calculations
- * Reference: Stull, R. (2011). Wet-Bulb Temperature from Relative Humidity and
- * Air Temperature.
+ * Uses either the Stull approximation or an exact psychrometric solution for
+ * wet bulb temperature calculations.
+ * References:
+ * - Stull, R. (2011). Wet-Bulb Temperature from Relative Humidity and Air
+ *   Temperature.
+ * - ASHRAE (2017). Handbook of Fundamentals, Chapter 1: Psychrometrics.
+ * - WMO (2018). Guide to Instruments and Methods of Observation, Annex 4.B.
+ */
+
+/** Standard sea-level atmospheric pressure in hPa. */
+export const SEA_LEVEL_PRESSURE = 1013.25;
+
+/** Ratio of the molecular mass of water vapor to that of dry air. */
+const MOLECULAR_MASS_RATIO = 0.621945;
+
+/** Specific gas constant for water vapor in J/(kg·K). */
+const WATER_VAPOR_GAS_CONSTANT = 461.5;
+
+/**
+ * Calculate the humidity ratio (mixing ratio) of moist air.
+ * @param {number} vaporPressure Partial pressure of water vapor in hPa.
+ * @param {number} pressure Station pressure in hPa.
+ * @returns {number} Humidity ratio in kg of water vapor per kg of dry air.
+ */
+function humidityRatio(vaporPressure, pressure) {
+  return (MOLECULAR_MASS_RATIO * vaporPressure) / (pressure - vaporPressure);
+}
+
+/**
+ * Calculate the frost point from the vapor pressure, by inverting the Magnus
+ * formula over ice.
+ * @param {number} vaporPressure Partial pressure of water vapor in hPa.
+ * @returns {number} Frost point in Celsius, or -Infinity for perfectly dry
+ * air.
+ */
+function frostPointFromVaporPressure(vaporPressure) {
+  if (vaporPressure <= 0) {
+    return -Infinity;
+  }
+
+  const gamma = Math.log(vaporPressure / 6.112);
+
+  return (272.62 * gamma) / (22.46 - gamma);
+}
+
+/**
+ * Calculate the mixing ratio from the vapor pressure.
+ * @param {number} vaporPressure Partial pressure of water vapor in hPa.
+ * @param {number} pressure Station pressure in hPa.
+ * @returns {number} Mixing ratio in g/kg.
+ */
+function mixingRatioFromVaporPressure(vaporPressure, pressure) {
+  return humidityRatio(vaporPressure, pressure) * 1000;
+}
+
+/**
+ * Calculate the specific humidity from the mixing ratio.
+ * @param {number} mixingRatio Mixing ratio in g/kg.
+ * @returns {number} Specific humidity in g/kg.
+ */
+function specificHumidityFromMixingRatio(mixingRatio) {
+  const ratio = mixingRatio / 1000;
+
+  return (ratio / (1 + ratio)) * 1000;
+}
+
+/**
+ * Calculate the absolute humidity from the vapor pressure.
+ * @param {number} temp Air temperature in Celsius.
+ * @param {number} vaporPressure Partial pressure of water vapor in hPa.
+ * @returns {number} Absolute humidity in g/m³.
+ */
+function absoluteHumidityFromVaporPressure(temp, vaporPressure) {
+  // Vapor pressure in Pa divided by R_v * T gives kg/m³.
+  return (
+    ((vaporPressure * 100) / (WATER_VAPOR_GAS_CONSTANT * (temp + 273.15))) *
+    1000
+  );
+}
+
+/**
+ * Calculate the specific enthalpy of moist air from its mixing ratio (ASHRAE
+ * Fundamentals, eq. 30).
+ * @param {number} temp Air temperature in Celsius.
+ * @param {number} mixingRatio Mixing ratio in g/kg.
+ * @returns {number} Enthalpy in kJ per kg of dry air.
+ */
+function enthalpyFromMixingRatio(temp, mixingRatio) {
+  const ratio = mixingRatio / 1000;
+
+  return 1.006 * temp + ratio * (2501 + 1.86 * temp);
+}
+
+/**
+ * Calculate the humidity ratio of air from its thermodynamic wet bulb
+ * temperature with the psychrometric equation, over water (ASHRAE
+ * Fundamentals, eq. 33) or over ice (eq. 35).
+ * @param {number} temp Air temperature in Celsius.
+ * @param {number} wetBulb Wet bulb temperature in Celsius.
+ * @param {number} saturationRatio Humidity ratio of air saturated at the wet
+ * bulb temperature, in kg/kg.
+ * @param {boolean} overIce Whether the bulb is coated in ice.
+ * @returns {number} Humidity ratio in kg/kg.
+ */
+function psychrometricHumidityRatio(temp, wetBulb, saturationRatio, overIce) {
+  if (overIce) {
+    return (
+      ((2830 - 0.24 * wetBulb) * saturationRatio - 1.006 * (temp - wetBulb)) /
+      (2830 + 1.86 * temp - 2.1 * wetBulb)
+    );
+  }
+
+  return (
+    ((2501 - 2.326 * wetBulb) * saturationRatio - 1.006 * (temp - wetBulb)) /
+    (2501 + 1.86 * temp - 4.186 * wetBulb)
+  );
+}
+
+/**
+ * @typedef {{
+ *   level: string,
+ *   label: string,
+ *   description: string,
+ *   color: string,
+ * }} IndexLevel
+ * A category of a heat index, such as the NWS heat index or the humidex.
+ */
+
+/**
+ * NWS heat index categories. Each applies from its `min` (in Celsius,
+ * converted from the NWS Fahrenheit thresholds) up to the next category.
+ * @type {(IndexLevel & { min: number })[]}
+ */
+const HEAT_INDEX_LEVELS = [
+  {
+    min: -Infinity,
+    level: "none",
+    label: "No Advisory",
+    description: "Heat-related illness unlikely",
+    color: "#10b981",
+  },
+  {
+    min: 26.7, // 80°F.
+    level: "caution",
+    label: "Caution",
+    description: "Fatigue possible with prolonged exposure and activity",
+    color: "#f59e0b",
+  },
+  {
+    min: 32.2, // 90°F.
+    level: "extreme-caution",
+    label: "Extreme Caution",
+    description:
+      "Heat cramps and heat exhaustion possible with prolonged exposure and activity",
+    color: "#f97316",
+  },
+  {
+    min: 39.4, // 103°F.
+    level: "danger",
+    label: "Danger",
+    description:
+      "Heat cramps and heat exhaustion likely, heat stroke possible with prolonged exposure and activity",
+    color: "#ef4444",
+  },
+  {
+    min: 51.7, // 125°F.
+    level: "extreme-danger",
+    label: "Extreme Danger",
+    description: "Heat stroke highly likely",
+    color: "#991b1b",
+  },
+];
+
+/**
+ * Environment and Climate Change Canada humidex categories.
+ * @type {(IndexLevel & { min: number })[]}
+ */
+const HUMIDEX_LEVELS = [
+  {
+    min: -Infinity,
+    level: "comfortable",
+    label: "Comfortable",
+    description: "Little or no discomfort",
+    color: "#10b981",
+  },
+  {
+    min: 30,
+    level: "some-discomfort",
+    label: "Some Discomfort",
+    description: "Some discomfort",
+    color: "#f59e0b",
+  },
+  {
+    min: 40,
+    level: "great-discomfort",
+    label: "Great Discomfort",
+    description: "Great discomfort, avoid exertion",
+    color: "#f97316",
+  },
+  {
+    min: 46,
+    level: "dangerous",
+    label: "Dangerous",
+    description: "Dangerous, heat stroke possible",
+    color: "#ef4444",
+  },
+  {
+    min: 54,
+    level: "heat-stroke",
+    label: "Heat Stroke Imminent",
+    description: "Heat stroke imminent",
+    color: "#991b1b",
+  },
+];
+
+/**
+ * Apparent temperature categories. The NWS heat index is a regression fit to
+ * Steadman's apparent temperature tables, so the apparent temperature shares
+ * the NWS heat index thresholds.
+ * @type {(IndexLevel & { min: number })[]}
+ */
+const APPARENT_TEMPERATURE_LEVELS = HEAT_INDEX_LEVELS;
+
+/**
+ * Find the category a value falls into.
+ * @template {IndexLevel} T
+ * @param {number} value
+ * @param {(T & { min: number })[]} levels Categories in ascending order of
+ * their `min`.
+ * @returns {T}
+ */
+function classify(value, levels) {
+  let match = levels[0];
+
+  for (const level of levels) {
+    if (value >= level.min) {
+      match = level;
+    }
+  }
+
+  const { min, ...indexLevel } = match;
+  return /** @type {T} */ (/** @type {unknown} */ (indexLevel));
+}
+
+/**
+ * @typedef {IndexLevel & {
+ *   warning?: { title: string, text: string },
+ * }} DangerLevel
+ * A wet bulb danger level, with the warning to show for it.
+ */
+
+/**
+ * Wet bulb danger levels in ascending order of severity. Every level above
+ * "safe" starts at one of the thresholds of a threshold scheme.
+ * @type {DangerLevel[]}
+ */
+const DANGER_LEVELS = [
+  {
+    level: "safe",
+    label: "Safe",
+    description: "Safe conditions for normal activities",
+    color: "#10b981",
+  },
+  {
+    level: "caution",
+    label: "Caution",
+    description:
+      "Increased caution - approaching limits for vulnerable populations",
+    color: "#f59e0b",
+    warning: {
+      title: "Caution: Approaching Heat Stress Limits",
+      text: "Vulnerable populations (elderly, children, those with health conditions) may experience heat stress. Limit outdoor activities and ensure access to cooling.",
+    },
+  },
+  {
+    level: "extreme",
+    label: "Extreme",
+    description: "Dangerous - many people cannot compensate, AC essential",
+    color: "#f97316",
+    warning: {
+      title: "Extreme Heat Warning",
+      text: "Dangerous conditions. Air conditioning is essential. Even healthy individuals will struggle with temperature regulation. Avoid all unnecessary outdoor exposure.",
+    },
+  },
+  {
+    level: "danger",
+    label: "Danger",
+    description: "Life-threatening - approaching human survivability limit",
+    color: "#ef4444",
+    warning: {
+      title: "Life-Threatening Conditions",
+      text: "Approaching human survivability limits. Prolonged exposure can be fatal even for young, healthy individuals. Immediate access to air conditioning is critical.",
+    },
+  },
+  {
+    level: "unsurvivable",
+    label: "Unsurvivable",
+    description: "Beyond human adaptability - fatal without cooling",
+    color: "#991b1b",
+    warning: {
+      title: "UNSURVIVABLE CONDITIONS",
+      text: "Beyond human physiological limits. The body cannot cool itself regardless of shade, water, or wind. Fatal within hours without air conditioning. This represents the absolute limit of human adaptability.",
+    },
+  },
+];
+
+/**
+ * @typedef {[number, number, number, number]} Thresholds
+ * Wet bulb temperatures in Celsius at which the caution, extreme, danger and
+ * unsurvivable levels start, in ascending order.
+ */
+
+/**
+ * @typedef {"penn-state-2022" | "sherwood-huber-2010" | "custom"} ThresholdSchemeName
+ */
+
+/**
+ * @typedef {{
+ *   name: string,
+ *   description: string,
+ *   thresholds: Thresholds,
+ * }} ThresholdScheme
+ */
+
+/** @type {Thresholds} */
+const DEFAULT_THRESHOLDS = [19, 25, 28, 31];
+
+/**
+ * @typedef {"healthy-adult"
+ *   | "older-adult"
+ *   | "child"
+ *   | "moderate-work"
+ *   | "heavy-work"
+ *   | "unacclimatized"} VulnerabilityProfileName
+ */
+
+/**
+ * @typedef {{
+ *   name: string,
+ *   audience?: string,
+ *   description: string,
+ *   offset: number,
+ * }} VulnerabilityProfile
+ * A group of people whose heat tolerance differs from that of the young,
+ * healthy adults at light activity the threshold schemes are based on. The
+ * `offset` in Celsius shifts every threshold.
+ */
+
+/**
+ * @typedef {{
+ *   thresholds?: Thresholds,
+ *   profile?: VulnerabilityProfileName,
+ * }} DangerOptions
+ */
+
+/**
+ * @typedef {{
+ *   level: DangerLevel & { min: number },
+ *   temp: number,
+ *   rh: number,
+ * }} ThresholdDistance
+ * The next danger level, with the air temperature that reaches it at
+ * constant humidity and the humidity that reaches it at constant air
+ * temperature. Either is NaN if it can't be reached within the domain of the
+ * formula, or if the humidity is ambiguous.
+ */
+
+/**
+ * @typedef {"stull" | "psychrometric"} WetBulbFormula
+ */
+
+/**
+ * @typedef {{
+ *   formula?: WetBulbFormula,
+ *   pressure?: number,
+ * }} CalculationOptions
+ * Options for calculations. `pressure` is the station pressure in hPa and
+ * defaults to sea level. Stull's approximation is only valid at sea level, so
+ * the pressure only affects the psychrometric formula.
+ */
+
+/**
+ * @typedef {{
+ *   minTemp: number,
+ *   maxTemp: number,
+ *   minRh: number,
+ *   maxRh: number,
+ * }} FormulaDomain
+ * The air temperatures in Celsius and relative humidities in percent a formula
+ * is valid for.
+ */
+
+/**
+ * @typedef {{
+ *   name: string,
+ *   description: string,
+ *   domain: FormulaDomain,
+ *   error: number,
+ * }} FormulaInfo
+ * A wet bulb formula. `error` is the estimated maximum error of its wet bulb
+ * temperatures within its domain, in Celsius.
+ */
+
+/**
+ * @typedef {{
+ *   value: number,
+ *   rawValue: number,
+ *   error: number,
+ *   outOfDomain: boolean,
+ *   clamped: boolean,
+ *   noSolution: boolean,
+ *   ambiguous: boolean,
+ * }} CalculationResult
+ * A calculated value along with how far it can be trusted. `value` is rounded
+ * for display while `rawValue` is not. `error` is the estimated maximum error
+ * in the unit of the value, or Infinity outside the domain of the formula,
+ * where the value is extrapolated. `clamped` means the value was limited to
+ * the nearest achievable one. `noSolution` means there is none, and the values
+ * are NaN. `ambiguous` means other values give the same result too, so the
+ * error is Infinity as well.
+ */
+
+/**
+ * @typedef {{
+ *   temp: number,
+ *   rh: number,
+ * }} WetBulbSensitivity
+ * Partial derivatives of the wet bulb temperature, in Celsius per Celsius of
+ * air temperature and Celsius per percent of relative humidity.
+ */
+
+/**
+ * @typedef {{
+ *   temp?: number,
+ *   rh?: number,
+ * }} MeasurementUncertainty
+ * Standard uncertainties (one standard deviation) of the measured air
+ * temperature in Celsius and relative humidity in percent.
+ */
+
+/**
+ * @typedef {{
+ *   wetBulb: number,
+ *   uncertainty: number,
+ *   low: number,
+ *   high: number,
+ *   levels: (DangerLevel & { min: number, probability: number })[],
+ * }} WetBulbUncertainty
+ * The wet bulb temperature with its standard uncertainty and 95% interval in
+ * Celsius, and the probability of each danger level.
+ */
+
+/** Coverage factor of a 95% interval of a normal distribution. */
+const COVERAGE_FACTOR = 1.96;
+
+/**
+ * Cumulative distribution function of the standard normal distribution, using
+ * the error function approximation of Abramowitz & Stegun (1964), eq. 7.1.26,
+ * which is accurate to 1.5e-7.
+ * @param {number} x
+ * @returns {number}
+ */
+function normalCdf(x) {
+  const z = Math.abs(x) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * z);
+  const erf =
+    1 -
+    t *
+      (0.254829592 +
+        t *
+          (-0.284496736 +
+            t * (1.421413741 + t * (-1.453152027 + t * 1.061405429)))) *
+      Math.exp(-z * z);
+
+  return x >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * @typedef {{ temp: number, rh: number }} WeatherRecord
+ * An air temperature in Celsius and relative humidity in percent.
+ */
+
+/**
+ * @typedef {{
+ *   temp: ArrayLike<number>,
+ *   rh: ArrayLike<number>,
+ * }} WeatherColumns
+ * Air temperatures in Celsius and relative humidities in percent as parallel
+ * arrays, such as typed arrays.
+ */
+
+/**
+ * @typedef {WeatherColumns | WeatherRecord[]} WeatherData
+ */
+
+/**
+ * Split weather data into columns of air temperature and humidity.
+ * @param {WeatherData} data
+ * @returns {WeatherColumns}
+ */
+function toColumns(data) {
+  if (Array.isArray(data)) {
+    return {
+      temp: Float64Array.from(data, ({ temp }) => temp),
+      rh: Float64Array.from(data, ({ rh }) => rh),
+    };
+  }
+
+  if (data.temp.length !== data.rh.length) {
+    throw new RangeError(
+      "Temperature and humidity arrays must have the same length",
+    );
+  }
+
+  return data;
+}
+
+/**
+ * Create a calculation result.
+ * @param {number} rawValue
+ * @param {number} digits Number of decimal places to round the value to.
+ * @param {Partial<Omit<CalculationResult, "value" | "rawValue">>} [details]
+ * @returns {CalculationResult}
+ */
+function createResult(
+  rawValue,
+  digits,
+  {
+    error = 0,
+    outOfDomain = false,
+    clamped = false,
+    noSolution = false,
+    ambiguous = false,
+  } = {},
+) {
+  const factor = 10 ** digits;
+
+  return {
+    value: Math.round(rawValue * factor) / factor,
+    rawValue,
+    error: outOfDomain || ambiguous ? Infinity : error,
+    outOfDomain,
+    clamped,
+    noSolution,
+    ambiguous,
+  };
+}
+
+/**
+ * The result of a search that has no solution.
+ * @returns {CalculationResult}
+ */
+function noSolutionResult() {
+  return createResult(NaN, 0, { error: NaN, noSolution: true });
+}
+
+/** Tolerance of the inverse solvers, in Celsius or percent. */
+const SOLVER_TOLERANCE = 1e-6;
+
+/**
+ * Step of the numerical derivatives, in Celsius or percent. It is well above
+ * the solver tolerance, so the psychrometric solution doesn't add noise.
+ */
+const DERIVATIVE_STEP = 0.01;
+
+/**
+ * Find a root of a function within a bracket using Brent's method, which
+ * combines the reliability of bisection with the speed of inverse quadratic
+ * interpolation.
+ * Reference: Press, W. H. et al. (2007). Numerical Recipes, 3rd ed., §9.3.
+ * @param {(x: number) => number} f
+ * @param {number} a One end of the bracket.
+ * @param {number} b The other end of the bracket.
+ * @param {number} [tolerance] Maximum distance from the true root.
+ * @returns {number} The root, or NaN if `f` doesn't change sign over the
+ * bracket.
+ */
+function findRoot(f, a, b, tolerance = 1e-6) {
+  const maxIterations = 100;
+  let fa = f(a);
+  let fb = f(b);
+
+  if (fa === 0) return a;
+  if (fb === 0) return b;
+  if (!(fa * fb < 0)) return NaN;
+
+  let c = b;
+  let fc = fb;
+  let d = b - a;
+  let e = d;
+
+  for (let i = 0; i < maxIterations; i++) {
+    // Keep the root bracketed between b and c.
+    if (fb * fc > 0) {
+      c = a;
+      fc = fa;
+      d = b - a;
+      e = d;
+    }
+
+    // Make b the best estimate so far.
+    if (Math.abs(fc) < Math.abs(fb)) {
+      a = b;
+      b = c;
+      c = a;
+      fa = fb;
+      fb = fc;
+      fc = fa;
+    }
+
+    const tol = 2 * Number.EPSILON * Math.abs(b) + tolerance / 2;
+    const m = (c - b) / 2;
+
+    if (Math.abs(m) <= tol || fb === 0) {
+      return b;
+    }
+
+    if (Math.abs(e) >= tol && Math.abs(fa) > Math.abs(fb)) {
+      // Try inverse quadratic interpolation, or the secant method with only
+      // two distinct points.
+      const s = fb / fa;
+      let p;
+      let q;
+
+      if (a === c) {
+        p = 2 * m * s;
+        q = 1 - s;
+      } else {
+        const r = fb / fc;
+        const t = fa / fc;
+        p = s * (2 * m * t * (t - r) - (b - a) * (r - 1));
+        q = (t - 1) * (r - 1) * (s - 1);
+      }
+
+      if (p > 0) {
+        q = -q;
+      } else {
+        p = -p;
+      }
+
+      // Accept the interpolation only if it falls within the bracket and
+      // converges faster than bisection would.
+      if (2 * p < Math.min(3 * m * q - Math.abs(tol * q), Math.abs(e * q))) {
+        e = d;
+        d = p / q;
+      } else {
+        d = m;
+        e = m;
+      }
+    } else {
+      d = m;
+      e = m;
+    }
+
+    a = b;
+    fa = fb;
+    b += Math.abs(d) > tol ? d : Math.sign(m) * tol;
+    fb = f(b);
+  }
+
+  return b;
+}
+
+/**
+ * Air temperature from which Stull's approximation only falls with humidity
+ * below about 4% RH, in Celsius.
+ */
+const STULL_WARM_AIR = 10;
+
+/**
+ * Where Stull's approximation rises steadily in cool air, by air temperature.
+ * This doesn't depend on the target, and the chart asks for the same
+ * temperatures again on every redraw.
+ * @type {Map<number, { humidity: number, highestBelow: number }>}
+ */
+const coolAirRises = new Map();
+
+/** Most entries to keep in `coolAirRises` before starting over. */
+const COOL_AIR_RISES_LIMIT = 1000;
+
+/** Step of the scan for where a wet bulb temperature rises, in percent. */
+const RISE_SCAN_STEP = 0.5;
+
+/**
+ * Find the humidity above which a wet bulb temperature rises steadily, by
+ * scanning down until it stops falling, along with the highest wet bulb
+ * temperature below that humidity.
+ * @param {(rh: number) => number} wetBulbAt
+ * @param {number} [from] Humidity to scan down from, above which the wet bulb
+ * temperature is known to rise steadily.
+ * @returns {{ humidity: number, highestBelow: number }}
+ */
+function findSteadyRise(wetBulbAt, from = 100) {
+  let rh = from;
+  let wetBulb = wetBulbAt(rh);
+
+  while (rh > 0) {
+    const next = wetBulbAt(rh - RISE_SCAN_STEP);
+    if (next >= wetBulb) {
+      break;
+    }
+    rh -= RISE_SCAN_STEP;
+    wetBulb = next;
+  }
+
+  const humidity =
+    rh > 0
+      ? findMinimum(
+          wetBulbAt,
+          rh - RISE_SCAN_STEP,
+          Math.min(from, rh + RISE_SCAN_STEP),
+        )
+      : 0;
+  let highestBelow = -Infinity;
+  for (let h = 0; h < humidity; h += RISE_SCAN_STEP) {
+    highestBelow = Math.max(highestBelow, wetBulbAt(h));
+  }
+
+  return { humidity, highestBelow };
+}
+
+/**
+ * Find the minimum of a unimodal function within an interval using golden
+ * section search.
+ * @param {(x: number) => number} f
+ * @param {number} a
+ * @param {number} b
+ * @param {number} [tolerance]
+ * @returns {number} Where the minimum is.
+ */
+function findMinimum(f, a, b, tolerance = 1e-6) {
+  const ratio = (Math.sqrt(5) - 1) / 2;
+  let x1 = b - ratio * (b - a);
+  let x2 = a + ratio * (b - a);
+  let f1 = f(x1);
+  let f2 = f(x2);
+
+  while (b - a > tolerance) {
+    if (f1 < f2) {
+      b = x2;
+      x2 = x1;
+      f2 = f1;
+      x1 = b - ratio * (b - a);
+      f1 = f(x1);
+    } else {
+      a = x1;
+      x1 = x2;
+      f1 = f2;
+      x2 = a + ratio * (b - a);
+      f2 = f(x2);
+    }
+  }
+
+  return (a + b) / 2;
+}
+
+/**
+ * WBGT flag categories from the U.S. Army's TB MED 507 (2022), converted from
+ * Fahrenheit. Work/rest guidance is for moderate work by acclimatized people.
+ * @type {(IndexLevel & { min: number })[]}
+ */
+const WBGT_LEVELS = [
+  {
+    min: -Infinity,
+    level: "none",
+    label: "No Flag",
+    description: "Normal activity",
+    color: "#10b981",
+  },
+  {
+    min: 25.6, // 78°F.
+    level: "white",
+    label: "Category 1 (White Flag)",
+    description: "Moderate work: no limit, drink ½ qt/hr",
+    color: "#94a3b8",
+  },
+  {
+    min: 27.8, // 82°F.
+    level: "green",
+    label: "Category 2 (Green Flag)",
+    description: "Moderate work: 50 min work, 10 min rest per hour",
+    color: "#16a34a",
+  },
+  {
+    min: 29.4, // 85°F.
+    level: "yellow",
+    label: "Category 3 (Yellow Flag)",
+    description: "Moderate work: 40 min work, 20 min rest per hour",
+    color: "#eab308",
+  },
+  {
+    min: 31.1, // 88°F.
+    level: "red",
+    label: "Category 4 (Red Flag)",
+    description: "Moderate work: 30 min work, 30 min rest per hour",
+    color: "#dc2626",
+  },
+  {
+    min: 32.2, // 90°F.
+    level: "black",
+    label: "Category 5 (Black Flag)",
+    description: "Moderate work: 20 min work, 40 min rest per hour",
+    color: "#111827",
+  },
+];
+
+// Constants for the Liljegren et al. (2008) WBGT model.
+const STEFAN_BOLTZMANN = 5.6696e-8;
+const SOLAR_CONSTANT = 1361;
+const GLOBE_DIAMETER = 0.0508;
+const GLOBE_EMISSIVITY = 0.95;
+const GLOBE_ALBEDO = 0.05;
+const WICK_DIAMETER = 0.007;
+const WICK_LENGTH = 0.0254;
+const WICK_EMISSIVITY = 0.95;
+const WICK_ALBEDO = 0.4;
+const SURFACE_EMISSIVITY = 0.999;
+const SURFACE_ALBEDO = 0.45;
+const AIR_SPECIFIC_HEAT = 1003.5;
+const AIR_GAS_CONSTANT = 287.04;
+const PRANDTL =
+  AIR_SPECIFIC_HEAT / (AIR_SPECIFIC_HEAT + 1.25 * AIR_GAS_CONSTANT);
+const MIN_WIND_SPEED = 0.13;
+
+/**
+ * Air properties needed for the convective heat transfer terms of the WBGT
+ * model.
+ * @param {number} tempK Film temperature in Kelvin.
+ * @param {number} pressure Station pressure in hPa.
+ * @param {number} windSpeed Wind speed in m/s.
+ * @param {number} diameter Characteristic diameter of the sensor in meters.
+ */
+function airProperties(tempK, pressure, windSpeed, diameter) {
+  // Sutherland's law for the viscosity of air.
+  const viscosity = (1.458e-6 * Math.pow(tempK, 1.5)) / (tempK + 110.4);
+  const conductivity =
+    (AIR_SPECIFIC_HEAT + 1.25 * AIR_GAS_CONSTANT) * viscosity;
+  const density = (pressure * 100) / (AIR_GAS_CONSTANT * tempK);
+  const diffusivity =
+    2.178e-5 * Math.pow(tempK / 273.15, 1.81) * (SEA_LEVEL_PRESSURE / pressure);
+  const reynolds = (density * windSpeed * diameter) / viscosity;
+
+  return { viscosity, conductivity, density, diffusivity, reynolds };
+}
+
+/**
+ * Estimate the fraction of solar radiation that is diffuse from the clearness
+ * index, using the Erbs et al. (1982) correlation.
+ * @param {number} solarRadiation Global horizontal radiation in W/m².
+ * @param {number} cosZenith Cosine of the solar zenith angle.
+ */
+function diffuseFraction(solarRadiation, cosZenith) {
+  const kt = Math.min(1, solarRadiation / (SOLAR_CONSTANT * cosZenith));
+
+  if (kt <= 0.22) {
+    return 1 - 0.09 * kt;
+  } else if (kt <= 0.8) {
+    return (
+      0.9511 -
+      0.1604 * kt +
+      4.388 * kt ** 2 -
+      16.638 * kt ** 3 +
+      12.336 * kt ** 4
+    );
+  }
+  return 0.165;
+}
+
+/**
+ * @typedef {{
+ *   dewPoint: number,
+ *   frostPoint: number,
+ *   vaporPressure: number,
+ *   saturationVaporPressure: number,
+ *   mixingRatio: number,
+ *   specificHumidity: number,
+ *   absoluteHumidity: number,
+ *   enthalpy: number,
+ * }} MoistureProperties
+ */
+
+/**
+ * @typedef {{
+ *   temp?: number,
+ *   rh?: number,
+ *   wetBulb?: number,
+ *   dewPoint?: number,
+ * }} KnownConditions
+ * Two of the air temperature, relative humidity, wet bulb temperature and
+ * dew point, in Celsius and percent.
+ */
+
+/**
+ * @typedef {{
+ *   temp: number,
+ *   rh: number,
+ *   wetBulb: number,
+ *   dewPoint: number,
+ *   outOfDomain: boolean,
+ *   clamped: boolean,
+ *   noSolution: boolean,
+ *   ambiguous: boolean,
+ * }} SolvedConditions
+ * The unrounded air temperature, relative humidity, wet bulb temperature
+ * and dew point, flagged like a `CalculationResult`. The values are NaN if
+ * there is no solution.
+ */
+
+/**
+ * @typedef {{
+ *   solarRadiation?: number,
+ *   windSpeed?: number,
+ *   zenithAngle?: number,
+ *   indoor?: boolean,
+ *   pressure?: number,
+ * }} WbgtOptions
+ * Options for WBGT estimates. `solarRadiation` is the global horizontal
+ * radiation in W/m², `windSpeed` the wind speed at about 2 m in m/s,
+ * `zenithAngle` the solar zenith angle in degrees and `pressure` the station
+ * pressure in hPa. `indoor` assumes surroundings at air temperature and no
+ * sun.
+ */
+
+/**
+ * @typedef {{
+ *   wbgt: number,
+ *   naturalWetBulb: number,
+ *   globeTemp: number,
+ * }} WbgtResult
+ */
+
+/**
+ * @typedef {{
+ *   wetBulb: Float64Array,
+ *   dangerLevel: Uint8Array,
+ * } & Record<keyof MoistureProperties, Float64Array>} BatchResult
+ * Wet bulb temperatures, danger level indices and derived moisture
+ * quantities of many readings, in the units of the scalar calculations.
  */
 
 export const wetBulbCalculator = {
   /**
-   * Calculate wet bulb temperature from air temperature and relative humidity
-   * using Stull's approximation formula.
+   * Formulas available for wet bulb temperature calculations.
+   * @type {Record<WetBulbFormula, FormulaInfo>}
+   */
+  formulas: {
+    stull: {
+      name: "Stull (2011) approximation",
+      description:
+        "Empirical fit, valid for roughly 5% to 99% RH and -20°C to 50°C at sea level.",
+      domain: { minTemp: -20, maxTemp: 50, minRh: 5, maxRh: 99 },
+      // Stull reports errors between -1°C and +0.65°C against his reference.
+      // Against the psychrometric solution they reach +1.4°C at 5% RH.
+      error: 1.4,
+    },
+    psychrometric: {
+      name: "Psychrometric (exact)",
+      description:
+        "Iterative solution of the psychrometric equation using saturation vapor pressure, over ice below freezing.",
+      // The WMO Magnus coefficients are fitted from -45°C to 60°C.
+      domain: { minTemp: -40, maxTemp: 50, minRh: 0, maxRh: 100 },
+      // Limited by the Magnus formula and by rounding to 0.1°C.
+      error: 0.1,
+    },
+  },
+
+  /**
+   * Check whether conditions are within the domain a formula is valid for.
+   * @param {number} temp Air temperature in Celsius.
+   * @param {number} rh Relative humidity in percentage (0% to 100%).
+   * @param {WetBulbFormula} [formula]
+   * @returns {boolean}
+   */
+  isInDomain(temp, rh, formula = "stull") {
+    const { minTemp, maxTemp, minRh, maxRh } = this.formulas[formula].domain;
+
+    return temp >= minTemp && temp <= maxTemp && rh >= minRh && rh <= maxRh;
+  },
+
+  /**
+   * Calculate wet bulb temperature from air temperature and relative humidity
+   * using the selected formula.
+   * @param {number} temp Air temperature in Celsius.
+   * @param {number} rh Relative humidity in percentage (0% to 100%).
+   * @param {CalculationOptions} [options]
+   * @returns {number} Wet bulb temperature in Celsius.
+   */
+  calculateWetBulb(temp, rh, options = {}) {
+    return this.calculateWetBulbResult(temp, rh, options).value;
+  },
+
+  /**
+   * Calculate wet bulb temperature from air temperature and relative humidity
+   * using the selected formula, along with its estimated error and whether
+   * the conditions are outside the domain of the formula.
+   * @param {number} temp Air temperature in Celsius.
+   * @param {number} rh Relative humidity in percentage (0% to 100%).
+   * @param {CalculationOptions} [options]
+   * @returns {CalculationResult} Wet bulb temperature in Celsius, rounded to 1
+   * decimal place.
+   */
+  calculateWetBulbResult(temp, rh, options = {}) {
+    const formula = options.formula ?? "stull";
+    const T_w = this.calculateRawWetBulb(temp, rh, options);
+
+    return createResult(T_w, 1, {
+      error: this.formulas[formula].error,
+      outOfDomain: !this.isInDomain(temp, rh, formula),
+    });
+  },
+
+  /**
+   * Calculate how much the wet bulb temperature changes with the air
+   * temperature and with the humidity, by central differences. At the limits
+   * of humidity the difference is one-sided.
+   * @param {number} temp Air temperature in Celsius.
+   * @param {number} rh Relative humidity in percentage (0% to 100%).
+   * @param {CalculationOptions} [options]
+   * @returns {WetBulbSensitivity}
+   */
+  calculateWetBulbSensitivity(temp, rh, options = {}) {
+    const step = DERIVATIVE_STEP;
+    const rhLow = Math.max(0, rh - step);
+    const rhHigh = Math.min(100, rh + step);
+
+    return {
+      temp:
+        (this.calculateRawWetBulb(temp + step, rh, options) -
+          this.calculateRawWetBulb(temp - step, rh, options)) /
+        (2 * step),
+      rh:
+        (this.calculateRawWetBulb(temp, rhHigh, options) -
+          this.calculateRawWetBulb(temp, rhLow, options)) /
+        (rhHigh - rhLow),
+    };
+  },
+
+  /**
+   * Propagate the uncertainties of the measured air temperature and humidity
+   * to the wet bulb temperature, to first order through its partial
+   * derivatives. The measurements are taken to be independent and normally
+   * distributed. The error of the formula itself isn't included.
+   * @param {number} temp Air temperature in Celsius.
+   * @param {number} rh Relative humidity in percentage (0% to 100%).
+   * @param {MeasurementUncertainty} uncertainty
+   * @param {CalculationOptions} [options]
+   * @param {DangerOptions} [dangerOptions]
+   * @returns {WetBulbUncertainty}
+   */
+  calculateWetBulbUncertainty(
+    temp,
+    rh,
+    uncertainty,
+    options = {},
+    dangerOptions = {},
+  ) {
+    const wetBulb = this.calculateRawWetBulb(temp, rh, options);
+    const sensitivity = this.calculateWetBulbSensitivity(temp, rh, options);
+    const sigma = Math.hypot(
+      sensitivity.temp * (uncertainty.temp ?? 0),
+      sensitivity.rh * (uncertainty.rh ?? 0),
+    );
+
+    /** @param {number} x */
+    const cdf = (x) =>
+      sigma > 0 ? normalCdf((x - wetBulb) / sigma) : Number(x > wetBulb);
+
+    const levels = this.getDangerLevels(dangerOptions);
+
+    return {
+      wetBulb,
+      uncertainty: sigma,
+      low: wetBulb - COVERAGE_FACTOR * sigma,
+      high: wetBulb + COVERAGE_FACTOR * sigma,
+      levels: levels.map((level, i) => ({
+        ...level,
+        probability: cdf(levels[i + 1]?.min ?? Infinity) - cdf(level.min),
+      })),
+    };
+  },
+
+  /**
+   * Calculate wet bulb temperature with the selected formula, without
+   * rounding.
+   * @param {number} temp Air temperature in Celsius.
+   * @param {number} rh Relative humidity in percentage (0% to 100%).
+   * @param {CalculationOptions} [options]
+   * @returns {number} Wet bulb temperature in Celsius.
+   */
+  calculateRawWetBulb(
+    temp,
+    rh,
+    { formula = "stull", pressure = SEA_LEVEL_PRESSURE } = {},
+  ) {
+    return formula === "psychrometric"
+      ? this.calculatePsychrometricWetBulb(temp, rh, pressure)
+      : this.calculateStullWetBulb(temp, rh);
+  },
+
+  /**
+   * Calculate wet bulb temperature from air temperature and relative humidity
+   * using Stull's approximation formula, without rounding.
+   * @param {number} temp Air temperature in Celsius.
+   * @param {number} rh Relative humidity in percentage (0% to 100%).
+   * @returns {number} Wet bulb temperature in Celsius.
+   */
+  calculateStullWetBulb(temp, rh) {
+    // Stull approximation
+    // T_w = T * atan[0.151977 * (RH + 8.313659)^(1/2)]
+    //       + atan(T + RH) - atan(RH - 1.676331)
+    //       + 0.00391838 * (RH)^(3/2) * atan(0.023101 * RH)
+    //       - 4.686035
+
+    const term1 = temp * Math.atan(0.151977 * Math.pow(rh + 8.313659, 0.5));
+    const term2 = Math.atan(temp + rh);
+    const term3 = Math.atan(rh - 1.676331);
+    const term4 = 0.00391838 * Math.pow(rh, 1.5) * Math.atan(0.023101 * rh);
+    const term5 = 4.686035;
+
+    return term1 + term2 - term3 + term4 - term5;
+  },
+
+  /**
+   * Calculate the thermodynamic wet bulb temperature from air temperature and
+   * relative humidity by iterating the psychrometric equation, without
+   * rounding. Below freezing the bulb is coated in ice, so this gives the ice
+   * bulb temperature. It is capped at the air temperature, which it can
+   * otherwise exceed in air that is supersaturated with respect to ice.
+   * @param {number} temp Air temperature in Celsius.
+   * @param {number} rh Relative humidity in percentage (0% to 100%).
+   * @param {number} [pressure] Station pressure in hPa.
+   * @returns {number} Wet bulb temperature in Celsius.
+   */
+  calculatePsychrometricWetBulb(temp, rh, pressure = SEA_LEVEL_PRESSURE) {
+    const targetRatio = humidityRatio(
+      this.calculateVaporPressure(temp, Math.max(0, Math.min(100, rh))),
+      pressure,
+    );
+
+    // Humidity ratio of air that has been adiabatically saturated at the
+    // candidate wet bulb temperature, over water or over ice below freezing.
+    // This increases with the wet bulb temperature, apart from a drop at 0°C
+    // where the latent heat of fusion comes in, so bisection between a
+    // generous lower bound and the air temperature converges. Targets within
+    // that drop settle at 0°C, where the water on the bulb is freezing.
+    /**
+     * @param {number} wetBulb
+     * @param {boolean} [overIce]
+     */
+    const saturatedHumidityRatio = (wetBulb, overIce = wetBulb < 0) => {
+      const saturationPressure = overIce
+        ? this.calculateSaturationVaporPressureOverIce(wetBulb)
+        : this.calculateSaturationVaporPressure(wetBulb);
+
+      return psychrometricHumidityRatio(
+        temp,
+        wetBulb,
+        humidityRatio(saturationPressure, pressure),
+        overIce,
+      );
+    };
+
+    // Targets within the drop are matched on both sides of 0°C, and
+    // bisection would otherwise land on either one.
+    if (
+      temp > 0 &&
+      targetRatio >= saturatedHumidityRatio(0) &&
+      targetRatio <= saturatedHumidityRatio(0, true)
+    ) {
+      return 0;
+    }
+
+    let low = Math.max(temp - 60, -100);
+    let high = temp;
+    const tolerance = 1e-6;
+    const maxIterations = 100;
+
+    for (let i = 0; i < maxIterations && high - low > tolerance; i++) {
+      const mid = (low + high) / 2;
+
+      if (saturatedHumidityRatio(mid) < targetRatio) {
+        low = mid;
+      } else {
+        high = mid;
+      }
+    }
+
+    return (low + high) / 2;
+  },
+
+  /**
+   * Calculate the saturation vapor pressure over liquid water using the
+   * Magnus formula with the coefficients recommended by the WMO.
+   * @param {number} temp Temperature in Celsius.
+   * @returns {number} Saturation vapor pressure in hPa.
+   */
+  calculateSaturationVaporPressure(temp) {
+    return 6.112 * Math.exp((17.62 * temp) / (243.12 + temp));
+  },
+
+  /**
+   * Calculate the saturation vapor pressure over ice using the Magnus formula
+   * with the coefficients recommended by the WMO.
+   * @param {number} temp Temperature in Celsius, at or below 0°C.
+   * @returns {number} Saturation vapor pressure in hPa.
+   */
+  calculateSaturationVaporPressureOverIce(temp) {
+    return 6.112 * Math.exp((22.46 * temp) / (272.62 + temp));
+  },
+
+  /**
+   * Calculate the partial pressure of water vapor in the air. Relative
+   * humidity is always with respect to liquid water, following the WMO
+   * convention, including below freezing.
    * @param {number} temp Air temperature in Celsius.
    * @param {number} rh Relative humidity in percentage (0% to 100%).
-   * @returns {number} Wet bulb temperature in Celsius.
+   * @returns {number} Vapor pressure in hPa.
    */
-  calculateWetBulb(temp, rh) {
-    // Stull approximation
-    // T_w = T * atan[0.151977 * (RH + 8.313659)^(1/2)]
-    //       + atan(T + RH) - atan(RH - 1.676331)
-    //       + 0.00391838 * (RH)^(3/2) * atan(0.023101 * RH)
-    //       - 4.686035
+  calculateVaporPressure(temp, rh) {
+    return (rh / 100) * this.calculateSaturationVaporPressure(temp);
+  },
 
-    const term1 = temp * Math.atan(0.151977 * Math.pow(rh + 8.313659, 0.5));
-    const term2 = Math.atan(temp + rh);
-    const term3 = Math.atan(rh - 1.676331);
-    const term4 = 0.00391838 * Math.pow(rh, 1.5) * Math.atan(0.023101 * rh);
-    const term5 = 4.686035;
+  /**
+   * Calculate the dew point by inverting the Magnus formula.
+   * @param {number} temp Air temperature in Celsius.
+   * @param {number} rh Relative humidity in percentage (0% to 100%).
+   * @returns {number} Dew point in Celsius, or -Infinity for perfectly dry air.
+   */
+  calculateDewPoint(temp, rh) {
+    if (rh <= 0) {
+      return -Infinity;
+    }
+
+    const gamma = Math.log(rh / 100) + (17.62 * temp) / (243.12 + temp);
+
+    return (243.12 * gamma) / (17.62 - gamma);
+  },
+
+  /**
+   * Calculate the relative humidity from the dew point, by the ratio of the
+   * saturation vapor pressures at the dew point and the air temperature.
+   * @param {number} temp Air temperature in Celsius.
+   * @param {number} dewPoint Dew point in Celsius.
+   * @returns {number} Relative humidity in percentage. It exceeds 100% if the
+   * dew point is above the air temperature.
+   */
+  calculateRelativeHumidity(temp, dewPoint) {
+    return (
+      (100 * this.calculateSaturationVaporPressure(dewPoint)) /
+      this.calculateSaturationVaporPressure(temp)
+    );
+  },
+
+  /**
+   * Calculate the frost point, the temperature at which the air becomes
+   * saturated with respect to ice, by inverting the Magnus formula over ice.
+   * It is only meaningful below freezing, where frost forms instead of dew.
+   * @param {number} temp Air temperature in Celsius.
+   * @param {number} rh Relative humidity in percentage (0% to 100%).
+   * @returns {number} Frost point in Celsius, or -Infinity for perfectly dry
+   * air.
+   */
+  calculateFrostPoint(temp, rh) {
+    return frostPointFromVaporPressure(this.calculateVaporPressure(temp, rh));
+  },
+
+  /**
+   * Calculate the mixing ratio, the mass of water vapor per mass of dry air.
+   * @param {number} temp Air temperature in Celsius.
+   * @param {number} rh Relative humidity in percentage (0% to 100%).
+   * @param {CalculationOptions} [options]
+   * @returns {number} Mixing ratio in g/kg.
+   */
+  calculateMixingRatio(temp, rh, { pressure = SEA_LEVEL_PRESSURE } = {}) {
+    return mixingRatioFromVaporPressure(
+      this.calculateVaporPressure(temp, rh),
+      pressure,
+    );
+  },
+
+  /**
+   * Calculate the relative humidity from the mixing ratio. This is the inverse
+   * of `calculateMixingRatio`.
+   * @param {number} temp Air temperature in Celsius.
+   * @param {number} mixingRatio Mixing ratio in g/kg.
+   * @param {CalculationOptions} [options]
+   * @returns {number} Relative humidity in percentage. It exceeds 100% if the
+   * air holds more water vapor than it can at saturation.
+   */
+  calculateRelativeHumidityFromMixingRatio(
+    temp,
+    mixingRatio,
+    { pressure = SEA_LEVEL_PRESSURE } = {},
+  ) {
+    const ratio = mixingRatio / 1000;
+    const vaporPressure = (ratio * pressure) / (MOLECULAR_MASS_RATIO + ratio);
+
+    return (100 * vaporPressure) / this.calculateSaturationVaporPressure(temp);
+  },
+
+  /**
+   * Calculate the mixing ratio of air from its thermodynamic wet bulb
+   * temperature. This is the inverse of `calculatePsychrometricWetBulb`, and
+   * gives the wet bulb lines of a psychrometric chart.
+   * @param {number} temp Air temperature in Celsius.
+   * @param {number} wetBulb Wet bulb temperature in Celsius, that of an ice
+   * bulb below freezing.
+   * @param {CalculationOptions} [options]
+   * @returns {number} Mixing ratio in g/kg. It is negative if the wet bulb
+   * temperature is below that of dry air.
+   */
+  calculateMixingRatioFromWetBulb(
+    temp,
+    wetBulb,
+    { pressure = SEA_LEVEL_PRESSURE } = {},
+  ) {
+    const overIce = wetBulb < 0;
+    const saturationPressure = overIce
+      ? this.calculateSaturationVaporPressureOverIce(wetBulb)
+      : this.calculateSaturationVaporPressure(wetBulb);
+
+    return (
+      psychrometricHumidityRatio(
+        temp,
+        wetBulb,
+        humidityRatio(saturationPressure, pressure),
+        overIce,
+      ) * 1000
+    );
+  },
+
+  /**
+   * Calculate the mixing ratio of air from its specific enthalpy. This is the
+   * inverse of `calculateEnthalpy`, and gives the enthalpy lines of a
+   * psychrometric chart.
+   * @param {number} temp Air temperature in Celsius.
+   * @param {number} enthalpy Enthalpy in kJ per kg of dry air.
+   * @returns {number} Mixing ratio in g/kg. It is negative if the enthalpy is
+   * below that of dry air.
+   */
+  calculateMixingRatioFromEnthalpy(temp, enthalpy) {
+    return ((enthalpy - 1.006 * temp) / (2501 + 1.86 * temp)) * 1000;
+  },
+
+  /**
+   * Calculate the specific humidity, the mass of water vapor per mass of moist
+   * air.
+   * @param {number} temp Air temperature in Celsius.
+   * @param {number} rh Relative humidity in percentage (0% to 100%).
+   * @param {CalculationOptions} [options]
+   * @returns {number} Specific humidity in g/kg.
+   */
+  calculateSpecificHumidity(temp, rh, options = {}) {
+    return specificHumidityFromMixingRatio(
+      this.calculateMixingRatio(temp, rh, options),
+    );
+  },
+
+  /**
+   * Calculate the absolute humidity, the mass of water vapor per volume of air.
+   * @param {number} temp Air temperature in Celsius.
+   * @param {number} rh Relative humidity in percentage (0% to 100%).
+   * @returns {number} Absolute humidity in g/m³.
+   */
+  calculateAbsoluteHumidity(temp, rh) {
+    return absoluteHumidityFromVaporPressure(
+      temp,
+      this.calculateVaporPressure(temp, rh),
+    );
+  },
+
+  /**
+   * Calculate the specific enthalpy of moist air (ASHRAE Fundamentals, eq.
+   * 30).
+   * @param {number} temp Air temperature in Celsius.
+   * @param {number} rh Relative humidity in percentage (0% to 100%).
+   * @param {CalculationOptions} [options]
+   * @returns {number} Enthalpy in kJ per kg of dry air.
+   */
+  calculateEnthalpy(temp, rh, options = {}) {
+    return enthalpyFromMixingRatio(
+      temp,
+      this.calculateMixingRatio(temp, rh, options),
+    );
+  },
+
+  /**
+   * Calculate all derived moisture quantities for an air temperature and
+   * relative humidity pair.
+   * @param {number} temp Air temperature in Celsius.
+   * @param {number} rh Relative humidity in percentage (0% to 100%).
+   * @param {CalculationOptions} [options]
+   * @returns {MoistureProperties}
+   */
+  calculateMoistureProperties(temp, rh, options = {}) {
+    return {
+      dewPoint: this.calculateDewPoint(temp, rh),
+      frostPoint: this.calculateFrostPoint(temp, rh),
+      vaporPressure: this.calculateVaporPressure(temp, rh),
+      saturationVaporPressure: this.calculateSaturationVaporPressure(temp),
+      mixingRatio: this.calculateMixingRatio(temp, rh, options),
+      specificHumidity: this.calculateSpecificHumidity(temp, rh, options),
+      absoluteHumidity: this.calculateAbsoluteHumidity(temp, rh),
+      enthalpy: this.calculateEnthalpy(temp, rh, options),
+    };
+  },
+
+  /**
+   * Convert an elevation to station pressure using the standard atmosphere
+   * (ASHRAE Fundamentals, eq. 3).
+   * @param {number} elevation Elevation above sea level in meters.
+   * @returns {number} Station pressure in hPa.
+   */
+  calculatePressureFromElevation(elevation) {
+    return SEA_LEVEL_PRESSURE * Math.pow(1 - 2.25577e-5 * elevation, 5.2559);
+  },
+
+  /**
+   * Convert a station pressure to the elevation at which it occurs in the
+   * standard atmosphere. This is the inverse of
+   * `calculatePressureFromElevation`.
+   * @param {number} pressure Station pressure in hPa.
+   * @returns {number} Elevation above sea level in meters.
+   */
+  calculateElevationFromPressure(pressure) {
+    return (
+      (1 - Math.pow(pressure / SEA_LEVEL_PRESSURE, 1 / 5.2559)) / 2.25577e-5
+    );
+  },
 
-    const T_w = term1 + term2 - term3 + term4 - term5;
+  /**
+   * Find the humidity that produces a given wet bulb temperature at a specific
+   * air temperature.
+   * @param {number} temp Air temperature in Celsius.
+   * @param {number} targetWetBulb Target wet bulb temperature in Celsius.
+   * @param {CalculationOptions} [options]
+   * @returns {number} Unrounded relative humidity in percentage (0% to 100%),
+   * or -1 if the wet bulb temperature is above the air temperature. Targets
+   * that can't be reached are clamped to 0% or 100%, like
+   * `findHumidityForWetBulbResult`, which tells them apart.
+   */
+  findHumidityForWetBulb(temp, targetWetBulb, options = {}) {
+    const result = this.findHumidityForWetBulbResult(
+      temp,
+      targetWetBulb,
+      options,
+    );
 
-    return Math.round(T_w * 10) / 10; // Round to 1 decimal place.
+    return result.noSolution ? -1 : result.rawValue;
   },
 
   /**
    * Find the humidity that produces a given wet bulb temperature at a specific
-   * air temperature. Uses binary search to find the humidity value.
+   * air temperature, along with how far it can be trusted.
    * @param {number} temp Air temperature in Celsius.
    * @param {number} targetWetBulb Target wet bulb temperature in Celsius.
-   * @returns {number} Relative humidity in percentage (0% to 100%).
+   * @param {CalculationOptions} [options]
+   * @returns {CalculationResult} Relative humidity in percentage (0% to 100%),
+   * rounded to 1 decimal place. It has no solution if the wet bulb
+   * temperature is above the air temperature. It is clamped to 0% if the
+   * target is below the wet bulb temperature of dry air, and to 100% if it is
+   * above that of saturated air. With Stull's approximation it is ambiguous
+   * if the target is also reached where the approximation falls as humidity
+   * rises.
    */
-  findHumidityForWetBulb(temp, targetWetBulb) {
+  findHumidityForWetBulbResult(temp, targetWetBulb, options = {}) {
+    const formula = options.formula ?? "stull";
+
+    /**
+     * Create the result for a humidity, estimating its error from the error
+     * of the wet bulb temperature and how steeply that changes with humidity.
+     * @param {number} rh
+     * @param {boolean} [clamped]
+     * @param {boolean} [ambiguous]
+     */
+    const result = (rh, clamped = false, ambiguous = false) => {
+      const low = Math.max(0, rh - 1);
+      const high = Math.min(100, rh + 1);
+      const slope =
+        (this.calculateRawWetBulb(temp, high, options) -
+          this.calculateRawWetBulb(temp, low, options)) /
+        (high - low);
+
+      return createResult(rh, 1, {
+        error: Math.min(100, this.formulas[formula].error / Math.abs(slope)),
+        outOfDomain: !this.isInDomain(temp, rh, formula),
+        clamped,
+        ambiguous,
+      });
+    };
+
     // Wet bulb can't be higher than dry bulb.
     if (targetWetBulb > temp) {
-      return -1;
-    }
-
-    // If they're equal, humidity must be 100%.
-    if (Math.abs(targetWetBulb - temp) < 0.1) {
-      return 100;
+      return noSolutionResult();
     }
 
-    // Due to non-monotonic behavior at very low humidity (< ~3%) caused by the
-    // Stull approximation artifact, we need to handle this range specially.
-    // The artifact occurs because of the term -atan(RH - 1.676331) in the
-    // formula.
+    // Stull's approximation falls as humidity rises before it turns up. Below
+    // about 3% RH that is an artifact of the term -atan(RH - 1.676331), and in
+    // cool air of temp * atan(...), which keeps it below its value for dry air
+    // up to 47% RH at 0°C. So only search where it rises steadily, and flag
+    // targets that it also reaches lower down, which have more than one
+    // answer. In warm air it only falls within the artifact, so targets above
+    // its wet bulb temperatures at 0% and 5% RH are reached just once, above
+    // 5%, and otherwise the scan starts at 5%. The full scan in cool air is
+    // cached. The psychrometric solution is monotonic.
+    /** @param {number} rh */
+    const wetBulbAt = (rh) => this.calculateRawWetBulb(temp, rh, options);
+    let lowestHumidity = 0;
+    let ambiguous = false;
 
-    // First, check if we're in the range where the artifact might occur.
-    const minPossibleWB = this.calculateWetBulb(temp, 0);
-    const wbAt3Percent = this.calculateWetBulb(temp, 3);
+    if (formula === "stull") {
+      const warm = temp >= STULL_WARM_AIR;
 
-    // If the target is below what's achievable at 3% humidity, we're in
-    // artifact territory.
-    if (targetWetBulb < wbAt3Percent) {
-      // Find the minimum achievable wet bulb in the 0 to 3% range.
-      let minWB = minPossibleWB;
-      let minRH = 0;
+      if (warm && targetWetBulb >= Math.max(wetBulbAt(0), wetBulbAt(5))) {
+        lowestHumidity = 5;
+      } else {
+        let rise = warm ? findSteadyRise(wetBulbAt, 5) : coolAirRises.get(temp);
 
-      for (let rh = 0; rh <= 3; rh += 0.1) {
-        const wb = this.calculateWetBulb(temp, rh);
-        if (wb < minWB) {
-          minWB = wb;
-          minRH = rh;
+        if (!rise) {
+          rise = findSteadyRise(wetBulbAt);
+          if (coolAirRises.size >= COOL_AIR_RISES_LIMIT) {
+            coolAirRises.clear();
+          }
+          coolAirRises.set(temp, rise);
         }
-      }
 
-      // If target is below the minimum achievable, return 0% (physically
-      // meaningful).
-      if (targetWetBulb < minWB - 0.1) {
-        return 0;
+        lowestHumidity = rise.humidity;
+        ambiguous = targetWetBulb < rise.highestBelow;
       }
+    }
 
-      // If we're near the minimum, return the humidity at minimum. This avoids
-      // the non-physical upturn in the curve.
-      if (Math.abs(targetWetBulb - minWB) < 0.2) {
-        return Math.round(minRH);
-      }
+    if (wetBulbAt(lowestHumidity) > targetWetBulb) {
+      return result(0, true);
+    }
+    if (wetBulbAt(100) < targetWetBulb) {
+      return result(100, true);
     }
 
-    // Standard binary search for higher humidity values (> 3%).
-    let low = 0;
-    let high = 100;
-    let mid;
+    return result(
+      findRoot(
+        (rh) => wetBulbAt(rh) - targetWetBulb,
+        lowestHumidity,
+        100,
+        SOLVER_TOLERANCE,
+      ),
+      false,
+      ambiguous,
+    );
+  },
 
-    const tolerance = 0.1;
-    const maxIterations = 50;
-    let iterations = 0;
+  /**
+   * Find the temperature that produces a given wet bulb temperature at a
+   * specific humidity.
+   * @param {number} targetWetBulb Target wet bulb temperature in Celsius.
+   * @param {number} humidity Relative humidity in percentage (0% to 100%).
+   * @param {CalculationOptions} [options]
+   * @returns {number} Unrounded air temperature in Celsius.
+   */
+  findTempForWetBulbAndHumidity(targetWetBulb, humidity, options = {}) {
+    return this.findTempForWetBulbAndHumidityResult(
+      targetWetBulb,
+      humidity,
+      options,
+    ).rawValue;
+  },
+
+  /**
+   * Find the temperature that produces a given wet bulb temperature at a
+   * specific humidity, along with how far it can be trusted. The search is
+   * limited to the domain of the formula.
+   * @param {number} targetWetBulb Target wet bulb temperature in Celsius.
+   * @param {number} humidity Relative humidity in percentage (0% to 100%).
+   * @param {CalculationOptions} [options]
+   * @returns {CalculationResult} Air temperature in Celsius, rounded to 1
+   * decimal place. It is clamped to the maximum temperature of the domain if
+   * the target can't be reached below it, and to the wet bulb temperature
+   * itself if the air would have to be colder than that.
+   */
+  findTempForWetBulbAndHumidityResult(targetWetBulb, humidity, options = {}) {
+    const formula = options.formula ?? "stull";
+    const { maxTemp } = this.formulas[formula].domain;
 
-    while (low <= high && iterations < maxIterations) {
-      mid = (low + high) / 2;
-      const calculatedWetBulb = this.calculateWetBulb(temp, mid);
+    /**
+     * Create the result for a temperature, estimating its error from how
+     * steeply the wet bulb temperature changes with the air temperature.
+     * @param {number} temp
+     * @param {boolean} [clamped]
+     */
+    const result = (temp, clamped = false) => {
+      const slope =
+        this.calculateRawWetBulb(temp + 0.5, humidity, options) -
+        this.calculateRawWetBulb(temp - 0.5, humidity, options);
 
-      if (Math.abs(calculatedWetBulb - targetWetBulb) < tolerance) {
-        return Math.round(mid);
-      }
+      return createResult(temp, 1, {
+        error: this.formulas[formula].error / Math.abs(slope),
+        outOfDomain: !this.isInDomain(temp, humidity, formula),
+        clamped,
+      });
+    };
 
-      if (calculatedWetBulb < targetWetBulb) {
-        low = mid + 0.1;
-      } else {
-        high = mid - 0.1;
+    /** @param {number} temp */
+    const mismatch = (temp) =>
+      this.calculateRawWetBulb(temp, humidity, options) - targetWetBulb;
+
+    // Wet bulb can't be higher than dry bulb.
+    const lowestTemp = targetWetBulb;
+
+    if (lowestTemp >= maxTemp || mismatch(maxTemp) < 0) {
+      return result(maxTemp, true);
+    }
+    if (mismatch(lowestTemp) > 0) {
+      return result(lowestTemp, true);
+    }
+
+    return result(findRoot(mismatch, lowestTemp, maxTemp, SOLVER_TOLERANCE));
+  },
+
+  /**
+   * Solve for the air temperature, relative humidity, wet bulb temperature and
+   * dew point, given any two of them.
+   * @param {KnownConditions} known
+   * @param {CalculationOptions} [options]
+   * @returns {SolvedConditions}
+   */
+  solve(known, options = {}) {
+    const given = ["temp", "rh", "wetBulb", "dewPoint"].filter(
+      (key) => known[key] !== undefined,
+    );
+
+    if (given.length !== 2) {
+      throw new TypeError(
+        "Exactly two of temp, rh, wetBulb and dewPoint must be given",
+      );
+    }
+
+    const { temp, rh, wetBulb, dewPoint } = known;
+    const formula = options.formula ?? "stull";
+    let clamped = false;
+    let ambiguous = false;
+
+    /**
+     * Complete the conditions from the air temperature and humidity.
+     * @param {number} t
+     * @param {number} h
+     * @returns {SolvedConditions}
+     */
+    const complete = (t, h) => {
+      if (!Number.isFinite(t) || !Number.isFinite(h) || h < 0 || h > 100) {
+        return {
+          temp: NaN,
+          rh: NaN,
+          wetBulb: NaN,
+          dewPoint: NaN,
+          outOfDomain: false,
+          clamped: false,
+          noSolution: true,
+          ambiguous: false,
+        };
       }
 
-      iterations++;
+      return {
+        temp: t,
+        rh: h,
+        wetBulb: wetBulb ?? this.calculateRawWetBulb(t, h, options),
+        dewPoint: dewPoint ?? this.calculateDewPoint(t, h),
+        outOfDomain: !this.isInDomain(t, h, formula),
+        clamped,
+        noSolution: false,
+        ambiguous,
+      };
+    };
+
+    if (temp !== undefined && rh !== undefined) {
+      return complete(temp, rh);
+    }
+
+    if (temp !== undefined && wetBulb !== undefined) {
+      const result = this.findHumidityForWetBulbResult(temp, wetBulb, options);
+      clamped = result.clamped;
+      ambiguous = result.ambiguous;
+      return complete(temp, result.rawValue);
+    }
+
+    if (rh !== undefined && wetBulb !== undefined) {
+      const result = this.findTempForWetBulbAndHumidityResult(
+        wetBulb,
+        rh,
+        options,
+      );
+      clamped = result.clamped;
+      return complete(result.rawValue, rh);
+    }
+
+    if (temp !== undefined && dewPoint !== undefined) {
+      return complete(temp, this.calculateRelativeHumidity(temp, dewPoint));
+    }
+
+    if (rh !== undefined && dewPoint !== undefined) {
+      // Invert the Magnus formula for the temperature whose saturation vapor
+      // pressure gives this humidity.
+      const gamma =
+        (17.62 * dewPoint) / (243.12 + dewPoint) - Math.log(rh / 100);
+      return complete((243.12 * gamma) / (17.62 - gamma), rh);
     }
 
-    // If binary search didn't find a good match, do one more comprehensive
-    // search.
-    let bestHumidity = mid;
-    let bestDiff = Math.abs(this.calculateWetBulb(temp, mid) - targetWetBulb);
+    // From the wet bulb temperature and dew point, search for the air
+    // temperature. The wet bulb temperature lies between the dew point and
+    // the air temperature.
+    const { maxTemp } = this.formulas[formula].domain;
+    const airTemp =
+      dewPoint > wetBulb
+        ? NaN
+        : findRoot(
+            (t) =>
+              this.calculateRawWetBulb(
+                t,
+                this.calculateRelativeHumidity(t, dewPoint),
+                options,
+              ) - wetBulb,
+            wetBulb,
+            maxTemp,
+            SOLVER_TOLERANCE,
+          );
+
+    return complete(airTemp, this.calculateRelativeHumidity(airTemp, dewPoint));
+  },
+
+  /**
+   * Calculate the NWS heat index using the Rothfusz regression, including the
+   * NWS adjustments for low and high humidity. Below about 80°F, Steadman's
+   * simpler formula is used instead, as the NWS does.
+   * Reference: https://www.wpc.ncep.noaa.gov/html/heatindex_equation.shtml
+   * @param {number} temp Air temperature in Celsius.
+   * @param {number} rh Relative humidity in percentage (0% to 100%).
+   * @returns {number} Heat index in Celsius.
+   */
+  calculateHeatIndex(temp, rh) {
+    const T = (temp * 9) / 5 + 32;
 
-    for (let rh = 0; rh <= 100; rh += 1) {
-      const wb = this.calculateWetBulb(temp, rh);
-      const diff = Math.abs(wb - targetWetBulb);
+    let HI = 0.5 * (T + 61.0 + (T - 68.0) * 1.2 + rh * 0.094);
 
-      if (diff < bestDiff) {
-        bestDiff = diff;
-        bestHumidity = rh;
+    if ((HI + T) / 2 >= 80) {
+      HI =
+        -42.379 +
+        2.04901523 * T +
+        10.14333127 * rh -
+        0.22475541 * T * rh -
+        0.00683783 * T * T -
+        0.05481717 * rh * rh +
+        0.00122874 * T * T * rh +
+        0.00085282 * T * rh * rh -
+        0.00000199 * T * T * rh * rh;
+
+      if (rh < 13 && T >= 80 && T <= 112) {
+        HI -= ((13 - rh) / 4) * Math.sqrt((17 - Math.abs(T - 95)) / 17);
+      } else if (rh > 85 && T >= 80 && T <= 87) {
+        HI += ((rh - 85) / 10) * ((87 - T) / 5);
       }
     }
 
-    return Math.round(bestHumidity);
+    return ((HI - 32) * 5) / 9;
   },
 
   /**
-   * Find the temperature that produces a given wet bulb temperature at a
-   * specific humidity. Uses binary search to find the temperature value.
-   * @param {number} targetWetBulb Target wet bulb temperature in Celsius.
-   * @param {number} humidity Relative humidity in percentage (0% to 100%).
-   * @returns {number} Air temperature in Celsius.
+   * Calculate the Canadian humidex.
+   * @param {number} temp Air temperature in Celsius.
+   * @param {number} rh Relative humidity in percentage (0% to 100%).
+   * @returns {number} Humidex, in degrees Celsius equivalent.
    */
-  findTempForWetBulbAndHumidity(targetWetBulb, humidity) {
-    // Wet bulb can't be higher than dry bulb.
-    let low = targetWetBulb;
-    let high = 50; // Maximum temperature we consider.
-    let mid;
-    const tolerance = 0.1;
+  calculateHumidex(temp, rh) {
+    return temp + 0.5555 * (this.calculateVaporPressure(temp, rh) - 10);
+  },
+
+  /**
+   * Calculate the Australian apparent temperature (Steadman, 1994), as used by
+   * the Bureau of Meteorology, without solar radiation.
+   * @param {number} temp Air temperature in Celsius.
+   * @param {number} rh Relative humidity in percentage (0% to 100%).
+   * @param {number} [windSpeed] Wind speed at 10 m in m/s.
+   * @returns {number} Apparent temperature in Celsius.
+   */
+  calculateApparentTemperature(temp, rh, windSpeed = 0) {
+    return (
+      temp + 0.33 * this.calculateVaporPressure(temp, rh) - 0.7 * windSpeed - 4
+    );
+  },
+
+  /**
+   * Get the NWS category for a heat index.
+   * @param {number} heatIndex Heat index in Celsius.
+   * @returns {IndexLevel}
+   */
+  getHeatIndexLevel(heatIndex) {
+    return classify(heatIndex, HEAT_INDEX_LEVELS);
+  },
+
+  /**
+   * Get the Environment and Climate Change Canada category for a humidex.
+   * @param {number} humidex
+   * @returns {IndexLevel}
+   */
+  getHumidexLevel(humidex) {
+    return classify(humidex, HUMIDEX_LEVELS);
+  },
+
+  /**
+   * Get the category for an apparent temperature.
+   * @param {number} apparentTemp Apparent temperature in Celsius.
+   * @returns {IndexLevel}
+   */
+  getApparentTemperatureLevel(apparentTemp) {
+    return classify(apparentTemp, APPARENT_TEMPERATURE_LEVELS);
+  },
+
+  /**
+   * Solar radiation presets for WBGT estimates.
+   * @type {Record<string, { name: string, solarRadiation: number, indoor?: boolean }>}
+   */
+  wbgtSolarPresets: {
+    sunny: { name: "Full sun", solarRadiation: 900 },
+    "partly-cloudy": { name: "Partly cloudy", solarRadiation: 500 },
+    cloudy: { name: "Overcast", solarRadiation: 200 },
+    indoor: { name: "Indoors or shade", solarRadiation: 0, indoor: true },
+  },
+
+  /**
+   * Estimate the Wet Bulb Globe Temperature (WBGT) from weather data using the
+   * model of Liljegren et al. (2008), which solves the energy balances of the
+   * black globe and the naturally ventilated wet bulb sensors.
+   * Reference: Liljegren, J. C., et al. (2008). Modeling the Wet Bulb Globe
+   * Temperature Using Standard Meteorological Measurements.
+   * @param {number} temp Air temperature in Celsius.
+   * @param {number} rh Relative humidity in percentage (0% to 100%).
+   * @param {WbgtOptions} [options]
+   * @returns {WbgtResult}
+   */
+  calculateWbgt(
+    temp,
+    rh,
+    {
+      solarRadiation = 0,
+      windSpeed = 1,
+      zenithAngle = 30,
+      indoor = false,
+      pressure = SEA_LEVEL_PRESSURE,
+    } = {},
+  ) {
+    const airTempK = temp + 273.15;
+    const speed = Math.max(MIN_WIND_SPEED, windSpeed);
+    const vaporPressure = this.calculateVaporPressure(temp, rh);
+    const solar = indoor ? 0 : Math.max(0, solarRadiation);
+
+    // Indoors, the surroundings radiate as a black body at air temperature.
+    const atmosphericEmissivity = indoor
+      ? 1
+      : 0.575 * Math.pow(vaporPressure, 1 / 7);
+    const cosZenith = Math.max(0.01, Math.cos((zenithAngle * Math.PI) / 180));
+    const directFraction =
+      solar > 0 ? 1 - diffuseFraction(solar, cosZenith) : 0;
+    const longwave =
+      0.5 *
+      (atmosphericEmissivity * airTempK ** 4 +
+        SURFACE_EMISSIVITY * airTempK ** 4);
+
+    const tolerance = 0.02;
     const maxIterations = 50;
-    let iterations = 0;
 
-    while (low <= high && iterations < maxIterations) {
-      mid = (low + high) / 2;
-      const calculatedWetBulb = this.calculateWetBulb(mid, humidity);
+    // Globe temperature.
+    let globeK = airTempK;
+    for (let i = 0; i < maxIterations; i++) {
+      const filmK = 0.5 * (globeK + airTempK);
+      const { conductivity, reynolds } = airProperties(
+        filmK,
+        pressure,
+        speed,
+        GLOBE_DIAMETER,
+      );
+      const h =
+        (conductivity / GLOBE_DIAMETER) *
+        (2 + 0.6 * Math.sqrt(reynolds) * Math.pow(PRANDTL, 1 / 3));
+      const next = Math.pow(
+        longwave -
+          (h / (GLOBE_EMISSIVITY * STEFAN_BOLTZMANN)) * (globeK - airTempK) +
+          (solar / (2 * GLOBE_EMISSIVITY * STEFAN_BOLTZMANN)) *
+            (1 - GLOBE_ALBEDO) *
+            (directFraction * (1 / (2 * cosZenith) - 1) + 1 + SURFACE_ALBEDO),
+        0.25,
+      );
+      const previous = globeK;
+      globeK = 0.9 * globeK + 0.1 * next;
 
-      if (Math.abs(calculatedWetBulb - targetWetBulb) < tolerance) {
-        return Math.round(mid * 10) / 10;
+      if (Math.abs(globeK - previous) < tolerance) {
+        break;
       }
+    }
 
-      if (calculatedWetBulb < targetWetBulb) {
-        low = mid + 0.1;
-      } else {
-        high = mid - 0.1;
-      }
+    // Natural wet bulb temperature.
+    const tanZenith = Math.sqrt(1 - cosZenith ** 2) / cosZenith;
+    let wetBulbK = airTempK;
+    for (let i = 0; i < maxIterations; i++) {
+      const filmK = 0.5 * (wetBulbK + airTempK);
+      const { viscosity, conductivity, density, diffusivity, reynolds } =
+        airProperties(filmK, pressure, speed, WICK_DIAMETER);
+      const h =
+        (conductivity / WICK_DIAMETER) *
+        0.281 *
+        Math.pow(reynolds, 0.6) *
+        Math.pow(PRANDTL, 0.44);
+      const schmidt = viscosity / (density * diffusivity);
+      const heatOfVaporization = ((313.15 - filmK) / 30) * -71100 + 2.4073e6;
+      const radiation =
+        STEFAN_BOLTZMANN * WICK_EMISSIVITY * (longwave - wetBulbK ** 4) +
+        (1 - WICK_ALBEDO) *
+          solar *
+          ((1 - directFraction) * (1 + (0.25 * WICK_DIAMETER) / WICK_LENGTH) +
+            directFraction *
+              (tanZenith / Math.PI + (0.25 * WICK_DIAMETER) / WICK_LENGTH) +
+            SURFACE_ALBEDO);
+      const wickVaporPressure = this.calculateSaturationVaporPressure(
+        wetBulbK - 273.15,
+      );
+      const next =
+        airTempK -
+        (heatOfVaporization / (AIR_SPECIFIC_HEAT / MOLECULAR_MASS_RATIO)) *
+          ((wickVaporPressure - vaporPressure) /
+            (pressure - wickVaporPressure)) *
+          Math.pow(PRANDTL / schmidt, 0.56) +
+        radiation / h;
+      const previous = wetBulbK;
+      wetBulbK = 0.9 * wetBulbK + 0.1 * next;
 
-      iterations++;
+      if (Math.abs(wetBulbK - previous) < tolerance) {
+        break;
+      }
     }
 
-    return Math.round(mid * 10) / 10;
+    const globeTemp = globeK - 273.15;
+    const naturalWetBulb = wetBulbK - 273.15;
+    const wbgt = indoor
+      ? 0.7 * naturalWetBulb + 0.3 * globeTemp
+      : 0.7 * naturalWetBulb + 0.2 * globeTemp + 0.1 * temp;
+
+    return { wbgt, naturalWetBulb, globeTemp };
   },
 
   /**
-   * @typedef {{
-   *   level: string,
-   *   description: string,
-   *   color: string,
-   *   warning?: { title: string, text: string },
-   * }} DangerLevel
+   * Get the flag category for a WBGT.
+   * @param {number} wbgt WBGT in Celsius.
+   * @returns {IndexLevel}
    */
+  getWbgtLevel(wbgt) {
+    return classify(wbgt, WBGT_LEVELS);
+  },
+
+  /**
+   * Threshold schemes for the wet bulb danger levels. The custom scheme holds
+   * the default thresholds for user-defined schemes.
+   * @type {Record<ThresholdSchemeName, ThresholdScheme>}
+   */
+  thresholdSchemes: {
+    "penn-state-2022": {
+      name: "Penn State (2022)",
+      description:
+        "Measured limits of human compensability, with 31°C as the upper limit for young, healthy adults.",
+      thresholds: DEFAULT_THRESHOLDS,
+    },
+    "sherwood-huber-2010": {
+      name: "Sherwood & Huber (2010)",
+      description:
+        "The classic 35°C theoretical limit of human survivability, with the lower levels spaced below it.",
+      thresholds: [25, 31, 33, 35],
+    },
+    custom: {
+      name: "Custom",
+      description: "User-defined thresholds.",
+      thresholds: DEFAULT_THRESHOLDS,
+    },
+  },
+
+  /**
+   * Vulnerability profiles that shift the danger thresholds.
+   * References:
+   * - Vecellio, D. J. et al. (2022). Evaluating the 35°C wet-bulb temperature
+   *   adaptability threshold for young, healthy subjects (PSU HEAT Project).
+   * - Wolf, S. T. et al. (2023). Critical environmental limits for young,
+   *   healthy adults and older adults (PSU HEAT Project).
+   * - Vanos, J. et al. (2023). A physiological approach for assessing human
+   *   survivability and liveability to heat in a changing climate.
+   * @type {Record<VulnerabilityProfileName, VulnerabilityProfile>}
+   */
+  vulnerabilityProfiles: {
+    "healthy-adult": {
+      name: "Young, healthy adult",
+      description: "Light activity, acclimatized. The basis of every scheme.",
+      offset: 0,
+    },
+    "older-adult": {
+      name: "Older adult (65+)",
+      audience: "older adults",
+      description:
+        "Reduced sweating and skin blood flow lower the critical limits by about 2°C.",
+      offset: -2,
+    },
+    child: {
+      name: "Child",
+      audience: "children",
+      description:
+        "Lower sweat rates and a higher surface-to-mass ratio reduce heat tolerance.",
+      offset: -1,
+    },
+    "moderate-work": {
+      name: "Outdoor worker, moderate work",
+      audience: "outdoor workers at moderate effort",
+      description:
+        "Metabolic heat from moderate work lowers the critical limits by about 2°C.",
+      offset: -2,
+    },
+    "heavy-work": {
+      name: "Outdoor worker, heavy work",
+      audience: "outdoor workers at heavy effort",
+      description:
+        "Metabolic heat from heavy work lowers the critical limits by about 4°C.",
+      offset: -4,
+    },
+    unacclimatized: {
+      name: "Unacclimatized visitor",
+      audience: "unacclimatized visitors",
+      description:
+        "Without 1 to 2 weeks of heat exposure, sweating starts later and is less effective.",
+      offset: -1,
+    },
+  },
+
+  /**
+   * Check that thresholds are finite and in strictly ascending order.
+   * @param {number[]} thresholds
+   * @returns {thresholds is Thresholds}
+   */
+  isValidThresholds(thresholds) {
+    return (
+      thresholds.length === DANGER_LEVELS.length - 1 &&
+      thresholds.every(
+        (threshold, i) =>
+          Number.isFinite(threshold) &&
+          (i === 0 || threshold > thresholds[i - 1]),
+      )
+    );
+  },
+
+  /**
+   * Get the danger levels along with the wet bulb temperature each starts at.
+   * A vulnerability profile shifts the thresholds and names its audience in
+   * the warnings.
+   * @param {DangerOptions} [options]
+   * @returns {(DangerLevel & { min: number })[]}
+   */
+  getDangerLevels({
+    thresholds = DEFAULT_THRESHOLDS,
+    profile = "healthy-adult",
+  } = {}) {
+    const { offset, audience } = this.vulnerabilityProfiles[profile];
+
+    return DANGER_LEVELS.map(({ warning, ...level }, i) => ({
+      ...level,
+      ...(warning && {
+        warning: audience
+          ? { ...warning, title: `${warning.title} for ${audience}` }
+          : warning,
+      }),
+      min: i === 0 ? -Infinity : thresholds[i - 1] + offset,
+    }));
+  },
 
   /**
-   * Get danger level classification for wet bulb temperature, based on Penn
-   * State 2022 research findings.
+   * Get danger level classification for wet bulb temperature. The thresholds
+   * default to the Penn State 2022 research findings for young, healthy
+   * adults.
    * @param {number} wetBulbTemp Wet bulb temperature in Celsius.
+   * @param {DangerOptions} [options]
    * @returns {DangerLevel}
-   * containing level and description.
    */
-  getDangerLevel(wetBulbTemp) {
-    if (wetBulbTemp < 19) {
-      return {
-        level: "safe",
-        description: "Safe conditions for normal activities",
-        color: "#10b981",
-      };
-    } else if (wetBulbTemp < 25) {
-      return {
-        level: "caution",
-        description:
-          "Increased caution - approaching limits for vulnerable populations",
-        color: "#f59e0b",
-        warning: {
-          title: "Caution: Approaching Heat Stress Limits",
-          text: "Vulnerable populations (elderly, children, those with health conditions) may experience heat stress. Limit outdoor activities and ensure access to cooling.",
-        },
-      };
-    } else if (wetBulbTemp < 28) {
-      return {
-        level: "extreme",
-        description: "Dangerous - many people cannot compensate, AC essential",
-        color: "#f97316",
-        warning: {
-          title: "Extreme Heat Warning",
-          text: "Dangerous conditions. Air conditioning is essential. Even healthy individuals will struggle with temperature regulation. Avoid all unnecessary outdoor exposure.",
-        },
-      };
-    } else if (wetBulbTemp < 31) {
-      return {
-        level: "danger",
-        description: "Life-threatening - approaching human survivability limit",
-        color: "#ef4444",
-        warning: {
-          title: "Life-Threatening Conditions",
-          text: "Approaching human survivability limits. Prolonged exposure can be fatal even for young, healthy individuals. Immediate access to air conditioning is critical.",
-        },
-      };
+  getDangerLevel(wetBulbTemp, options = {}) {
+    return classify(wetBulbTemp, this.getDangerLevels(options));
+  },
+
+  /**
+   * Find how far the current conditions are from the next danger level, by
+   * raising either the air temperature or the humidity alone.
+   * @param {number} temp Air temperature in Celsius.
+   * @param {number} rh Relative humidity in percentage (0% to 100%).
+   * @param {CalculationOptions} [options]
+   * @param {DangerOptions} [dangerOptions]
+   * @returns {ThresholdDistance | null} The distance, or null if the
+   * conditions are already at the highest danger level.
+   */
+  getDistanceToNextLevel(temp, rh, options = {}, dangerOptions = {}) {
+    const wetBulb = this.calculateRawWetBulb(temp, rh, options);
+    const levels = this.getDangerLevels(dangerOptions);
+    const current = this.getDangerLevel(wetBulb, dangerOptions);
+    const level =
+      levels[levels.findIndex(({ level }) => level === current.level) + 1];
+
+    if (!level) {
+      return null;
+    }
+
+    const tempResult = this.findTempForWetBulbAndHumidityResult(
+      level.min,
+      rh,
+      options,
+    );
+    const rhResult = this.findHumidityForWetBulbResult(
+      temp,
+      level.min,
+      options,
+    );
+
+    return {
+      level,
+      temp: tempResult.clamped ? NaN : tempResult.rawValue,
+      rh:
+        rhResult.clamped || rhResult.noSolution || rhResult.ambiguous
+          ? NaN
+          : rhResult.rawValue,
+    };
+  },
+
+  // Batch calculations. These take the options once and calculate whole
+  // columns of readings in a single pass, filling typed arrays, which a Web
+  // Worker can transfer without copying. They give the same values as the
+  // scalar calculations.
+
+  /**
+   * Calculate the wet bulb temperatures of many readings, without rounding.
+   * @param {WeatherData} data
+   * @param {CalculationOptions} [options]
+   * @returns {Float64Array} Wet bulb temperatures in Celsius.
+   */
+  calculateWetBulbBatch(
+    data,
+    { formula = "stull", pressure = SEA_LEVEL_PRESSURE } = {},
+  ) {
+    const { temp, rh } = toColumns(data);
+    const wetBulb = new Float64Array(temp.length);
+
+    if (formula === "psychrometric") {
+      for (let i = 0; i < temp.length; i++) {
+        wetBulb[i] = this.calculatePsychrometricWetBulb(
+          temp[i],
+          rh[i],
+          pressure,
+        );
+      }
     } else {
-      return {
-        level: "unsurvivable",
-        description: "Beyond human adaptability - fatal without cooling",
-        color: "#991b1b",
-        warning: {
-          title: "UNSURVIVABLE CONDITIONS",
-          text: "Beyond human physiological limits. The body cannot cool itself regardless of shade, water, or wind. Fatal within hours without air conditioning. This represents the absolute limit of human adaptability.",
-        },
-      };
+      for (let i = 0; i < temp.length; i++) {
+        wetBulb[i] = this.calculateStullWetBulb(temp[i], rh[i]);
+      }
+    }
+
+    return wetBulb;
+  },
+
+  /**
+   * Classify many wet bulb temperatures into danger levels, like
+   * `getDangerLevel`.
+   * @param {ArrayLike<number>} wetBulbs Wet bulb temperatures in Celsius.
+   * @param {DangerOptions} [options]
+   * @returns {Uint8Array} Indices into the levels of `getDangerLevels`.
+   */
+  getDangerLevelIndices(wetBulbs, options = {}) {
+    const mins = this.getDangerLevels(options).map(({ min }) => min);
+    const indices = new Uint8Array(wetBulbs.length);
+
+    for (let i = 0; i < wetBulbs.length; i++) {
+      let index = 0;
+
+      while (index + 1 < mins.length && wetBulbs[i] >= mins[index + 1]) {
+        index++;
+      }
+      indices[i] = index;
+    }
+
+    return indices;
+  },
+
+  /**
+   * Calculate the wet bulb temperatures, danger levels and derived moisture
+   * quantities of many readings. The moisture quantities of each reading are
+   * calculated together from its vapor pressure, as in
+   * `calculateMoistureProperties`.
+   * @param {WeatherData} data
+   * @param {CalculationOptions} [options]
+   * @param {DangerOptions} [dangerOptions]
+   * @returns {BatchResult}
+   */
+  calculateBatch(data, options = {}, dangerOptions = {}) {
+    const columns = toColumns(data);
+    const { temp, rh } = columns;
+    const { pressure = SEA_LEVEL_PRESSURE } = options;
+    const wetBulb = this.calculateWetBulbBatch(columns, options);
+    const length = temp.length;
+    const dewPoint = new Float64Array(length);
+    const frostPoint = new Float64Array(length);
+    const vaporPressure = new Float64Array(length);
+    const saturationVaporPressure = new Float64Array(length);
+    const mixingRatio = new Float64Array(length);
+    const specificHumidity = new Float64Array(length);
+    const absoluteHumidity = new Float64Array(length);
+    const enthalpy = new Float64Array(length);
+
+    for (let i = 0; i < length; i++) {
+      const t = temp[i];
+      const saturation = this.calculateSaturationVaporPressure(t);
+      const vapor = (rh[i] / 100) * saturation;
+      const ratio = mixingRatioFromVaporPressure(vapor, pressure);
+
+      dewPoint[i] = this.calculateDewPoint(t, rh[i]);
+      frostPoint[i] = frostPointFromVaporPressure(vapor);
+      vaporPressure[i] = vapor;
+      saturationVaporPressure[i] = saturation;
+      mixingRatio[i] = ratio;
+      specificHumidity[i] = specificHumidityFromMixingRatio(ratio);
+      absoluteHumidity[i] = absoluteHumidityFromVaporPressure(t, vapor);
+      enthalpy[i] = enthalpyFromMixingRatio(t, ratio);
     }
+
+    return {
+      wetBulb,
+      dangerLevel: this.getDangerLevelIndices(wetBulb, dangerOptions),
+      dewPoint,
+      frostPoint,
+      vaporPressure,
+      saturationVaporPressure,
+      mixingRatio,
+      specificHumidity,
+      absoluteHumidity,
+      enthalpy,
+    };
   },
 };
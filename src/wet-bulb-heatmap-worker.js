@@ -0,0 +1,28 @@
+/**
+ * Web Worker calculating the wet bulb temperatures of the chart heatmap, so
+ * the page stays responsive while the psychrometric solution iterates over
+ * every cell.
+ */
+
+import { wetBulbCalculator } from "./wet-bulb-calculator.js";
+
+/**
+ * @typedef {{
+ *   temp: Float64Array,
+ *   rh: Float64Array,
+ *   options: import('./wet-bulb-calculator.js').CalculationOptions,
+ * }} WetBulbHeatmapRequest
+ * Cells of the heatmap to calculate, as air temperatures and humidities.
+ */
+
+self.addEventListener("message", (event) => {
+  const { temp, rh, options } = /** @type {WetBulbHeatmapRequest} */ (
+    event.data
+  );
+  const wetBulb = wetBulbCalculator.calculateWetBulbBatch(
+    { temp, rh },
+    options,
+  );
+
+  self.postMessage(wetBulb, { transfer: [wetBulb.buffer] });
+});
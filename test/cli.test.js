@@ -0,0 +1,237 @@
+/**
+ * Tests for the `wet-bulb` command: parsing its options and readings,
+ * formatting its output, and how it fails on malformed input. Run them with
+ * `yarn test`.
+ */
+
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import { fileURLToPath } from "node:url";
+import { describe, it } from "node:test";
+import {
+  evaluate,
+  formatRows,
+  parseOptions,
+  parseReadings,
+} from "../src/cli.js";
+import { wetBulbCalculator } from "../src/wet-bulb-calculator.js";
+
+const CLI = fileURLToPath(new URL("../src/cli.js", import.meta.url));
+
+/**
+ * Run the command with input on stdin.
+ * @param {string[]} args
+ * @param {string} input
+ */
+function run(args, input) {
+  return spawnSync(process.execPath, [CLI, ...args], {
+    input,
+    encoding: "utf8",
+  });
+}
+
+describe("parseReadings", () => {
+  it("reads the air temperature and humidity by default", () => {
+    assert.deepEqual(parseReadings("30,50\n35 70\n"), [
+      { temp: 30, rh: 50 },
+      { temp: 35, rh: 70 },
+    ]);
+  });
+
+  it("reads the columns named by a header line", () => {
+    assert.deepEqual(parseReadings("temp,dewPoint\n30,20\n"), [
+      { temp: 30, dewPoint: 20 },
+    ]);
+  });
+
+  it("skips blank lines and comments", () => {
+    assert.deepEqual(parseReadings("# Station A\n\n30,50\r\n"), [
+      { temp: 30, rh: 50 },
+    ]);
+  });
+
+  it("converts temperatures but not humidities from the unit", () => {
+    const [reading] = parseReadings("wetBulb,rh\n86,50\n", "F");
+
+    assert.equal(reading.wetBulb, 30);
+    assert.equal(reading.rh, 50);
+  });
+
+  it("rejects readings with the wrong number of values", () => {
+    assert.throws(() => parseReadings("30\n"), /Invalid reading on line 1/);
+    assert.throws(() => parseReadings("30,50,70\n"), /Invalid reading/);
+  });
+
+  it("counts skipped lines and the header in the line of an error", () => {
+    assert.throws(
+      () => parseReadings("# c\n\n30\n"),
+      /Invalid reading on line 3: "30"/,
+    );
+    assert.throws(
+      () => parseReadings("temp,rh\n30,50\n\n# c\n35\n"),
+      /Invalid reading on line 5: "35"/,
+    );
+  });
+
+  it("rejects values that aren't numbers", () => {
+    assert.throws(() => parseReadings("30,humid\n"), /Invalid reading/);
+  });
+
+  it("rejects unknown columns", () => {
+    assert.throws(
+      () => parseReadings("temp,humidity\n30,50\n"),
+      /Unknown column "humidity"/,
+    );
+    assert.throws(
+      () => parseReadings("temp,constructor\n30,50\n"),
+      /Unknown column "constructor"/,
+    );
+  });
+});
+
+describe("parseOptions", () => {
+  it("defaults to Stull's approximation, Celsius and plain text", () => {
+    const { options, reading, help } = parseOptions([]);
+
+    assert.deepEqual(options.calculation, { formula: "stull" });
+    assert.equal(options.unit, "C");
+    assert.equal(options.format, "plain");
+    assert.equal(options.danger.profile, "healthy-adult");
+    assert.deepEqual(
+      options.danger.thresholds,
+      wetBulbCalculator.thresholdSchemes["penn-state-2022"].thresholds,
+    );
+    assert.equal(reading, null);
+    assert.equal(help, false);
+  });
+
+  it("takes the air temperature and humidity as positionals", () => {
+    assert.deepEqual(parseOptions(["30", "50"]).reading, { temp: 30, rh: 50 });
+  });
+
+  it("converts the given temperatures and thresholds from the unit", () => {
+    const { options, reading } = parseOptions([
+      "--unit",
+      "F",
+      "--rh",
+      "60",
+      "--wet-bulb",
+      "86",
+      "--thresholds",
+      "50,68,77,86",
+    ]);
+
+    assert.deepEqual(reading, { rh: 60, wetBulb: 30 });
+    assert.deepEqual(options.danger.thresholds, [10, 20, 25, 30]);
+  });
+
+  it("passes on the formula and pressure", () => {
+    const { options } = parseOptions([
+      "--formula",
+      "psychrometric",
+      "--pressure",
+      "850",
+    ]);
+
+    assert.deepEqual(options.calculation, {
+      formula: "psychrometric",
+      pressure: 850,
+    });
+  });
+
+  /** @type {[string[], RegExp][]} */
+  const invalid = [
+    [["--unit", "R"], /Unknown unit "R"/],
+    [["--unit", "constructor"], /Unknown unit "constructor"/],
+    [["--formula", "magic"], /Unknown formula "magic"/],
+    [["--scheme", "other"], /Unknown threshold scheme "other"/],
+    [["--scheme", "constructor"], /Unknown threshold scheme "constructor"/],
+    [["--profile", "other"], /Unknown vulnerability profile "other"/],
+    [["--profile", "toString"], /Unknown vulnerability profile "toString"/],
+    [["--format", "xml"], /Unknown format "xml"/],
+    [["--pressure", "high"], /Invalid pressure "high"/],
+    [["--thresholds", "31,28,25,19"], /Thresholds must be 4 numbers/],
+    [["--temp", ""], /Invalid temp ""/],
+  ];
+
+  for (const [args, message] of invalid) {
+    it(`rejects ${args.join(" ")}`, () => {
+      assert.throws(() => parseOptions(args), message);
+    });
+  }
+});
+
+describe("formatRows", () => {
+  const options = parseOptions([]).options;
+  const rows = evaluate([{ temp: 30, rh: 50 }], options);
+
+  it("describes readings in plain text", () => {
+    assert.equal(
+      formatRows(rows, { unit: "C", format: "plain" }),
+      "Wet bulb 22.3°C (Caution) at 30.0°C and 50% RH, dew point 18.4°C",
+    );
+  });
+
+  it("notes readings without a solution", () => {
+    assert.equal(
+      formatRows(evaluate([{ temp: 20, wetBulb: 25 }], options), {
+        unit: "C",
+        format: "plain",
+      }),
+      "No solution exists for these conditions.",
+    );
+  });
+
+  it("converts temperatures to the unit in JSON", () => {
+    const [record] = JSON.parse(
+      formatRows(rows, { unit: "F", format: "json" }),
+    );
+
+    assert.equal(record.temp, 86);
+    assert.equal(record.rh, 50);
+    assert.equal(record.level, "caution");
+  });
+
+  it("gives CSV the same columns with and without rows", () => {
+    const [header, row] = formatRows(rows, { unit: "C", format: "csv" }).split(
+      "\n",
+    );
+
+    assert.equal(header, formatRows([], { unit: "C", format: "csv" }));
+    assert.equal(header.split(",").length, row.split(",").length);
+    assert.deepEqual(
+      header.split(","),
+      Object.keys(
+        JSON.parse(formatRows(rows, { unit: "C", format: "json" }))[0],
+      ),
+    );
+  });
+});
+
+describe("command", () => {
+  it("solves readings from stdin", () => {
+    const { status, stdout } = run(
+      ["--format", "csv"],
+      "temp,dewPoint\n30,20\n",
+    );
+
+    assert.equal(status, 0);
+    assert.match(stdout, /^temp,rh,wetBulb,dewPoint,/);
+    assert.equal(stdout.trim().split("\n").length, 2);
+  });
+
+  it("fails with a message on a malformed reading", () => {
+    const { status, stdout, stderr } = run([], "30,50\n30\n");
+
+    assert.equal(status, 1);
+    assert.equal(stdout, "");
+    assert.equal(stderr, 'wet-bulb: Invalid reading on line 2: "30"\n');
+  });
+
+  it("fails with a message on an unknown option value", () => {
+    const { status, stderr } = run(["--unit", "R", "30", "50"], "");
+
+    assert.equal(status, 1);
+    assert.equal(stderr, 'wet-bulb: Unknown unit "R"\n');
+  });
+});
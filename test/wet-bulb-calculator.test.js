@@ -0,0 +1,542 @@
+/**
+ * Regression tests for the wet bulb calculator against published reference
+ * values, with round-trip and monotonicity properties of its solvers. Run them
+ * with `yarn test`; they need nothing but Node.
+ */
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { wetBulbCalculator } from "../src/wet-bulb-calculator.js";
+
+/** @type {import('../src/wet-bulb-calculator.js').CalculationOptions} */
+const PSYCHROMETRIC = { formula: "psychrometric" };
+
+/**
+ * Saturation vapor pressures in hPa, from ASHRAE Fundamentals (2017), chapter
+ * 1, table 3. Over water at and above 0°C, over ice below.
+ */
+const SATURATION_VAPOR_PRESSURES = [
+  { temp: 0, water: 6.112 },
+  { temp: 10, water: 12.282 },
+  { temp: 20, water: 23.392 },
+  { temp: 30, water: 42.467 },
+  { temp: 40, water: 73.844 },
+  { temp: -10, ice: 2.5987 },
+  { temp: -20, ice: 1.0324 },
+  { temp: -30, ice: 0.3801 },
+];
+
+/**
+ * Thermodynamic wet bulb temperatures in Celsius at 101.325 kPa, as given to
+ * 0.1°C by psychrometric tables.
+ */
+const PSYCHROMETRIC_TABLE = [
+  { temp: 10, rh: 30, wetBulb: 3.6 },
+  { temp: 10, rh: 80, wetBulb: 8.3 },
+  { temp: 20, rh: 20, wetBulb: 9.3 },
+  { temp: 20, rh: 50, wetBulb: 13.8 },
+  { temp: 20, rh: 80, wetBulb: 17.7 },
+  { temp: 25, rh: 50, wetBulb: 17.9 },
+  { temp: 30, rh: 30, wetBulb: 18.0 },
+  { temp: 30, rh: 50, wetBulb: 22.0 },
+  { temp: 30, rh: 80, wetBulb: 27.1 },
+  { temp: 35, rh: 40, wetBulb: 23.9 },
+  { temp: 35, rh: 70, wetBulb: 30.1 },
+  { temp: 40, rh: 20, wetBulb: 22.0 },
+  { temp: 40, rh: 50, wetBulb: 30.3 },
+  { temp: 45, rh: 30, wetBulb: 28.7 },
+  { temp: 50, rh: 10, wetBulb: 23.8 },
+];
+
+/**
+ * Error bounds of Stull's approximation against the psychrometric solution,
+ * in Celsius, over 1°C and 1% steps. Stull (2011) reports errors from -1°C to
+ * +0.65°C against his own reference, which holds in the core of the domain.
+ * Against this solution the errors grow a little beyond that at 5% RH and in
+ * hot, moderately dry air. Below freezing the psychrometric solution gives
+ * the ice bulb temperature while Stull fits the wet bulb over water, so only
+ * temperatures from 0°C are compared.
+ */
+const STULL_ERROR_BOUNDS = [
+  {
+    region: "the domain above freezing",
+    temps: [0, 50],
+    rhs: [5, 99],
+    min: -1.2,
+    max: 1.4,
+    meanAbsolute: 0.35,
+  },
+  {
+    region: "5°C to 35°C at 15% to 99% RH",
+    temps: [5, 35],
+    rhs: [15, 99],
+    min: -1,
+    max: 0.65,
+    meanAbsolute: 0.25,
+  },
+];
+
+/**
+ * List the numbers from start to end, inclusive, in steps.
+ * @param {number} start
+ * @param {number} end
+ * @param {number} step
+ * @returns {number[]}
+ */
+function range(start, end, step) {
+  const values = [];
+  for (let value = start; value <= end + step / 2; value += step) {
+    values.push(Math.round(value * 1000) / 1000);
+  }
+  return values;
+}
+
+/**
+ * Assert that a value is within a tolerance of the expected value.
+ * @param {number} actual
+ * @param {number} expected
+ * @param {number} tolerance
+ * @param {string} [message]
+ */
+function assertClose(actual, expected, tolerance, message) {
+  assert.ok(
+    Math.abs(actual - expected) <= tolerance,
+    `${message ?? "Value"}: expected ${expected} ± ${tolerance}, got ${actual}`,
+  );
+}
+
+describe("saturation vapor pressure", () => {
+  // The WMO Magnus coefficients fit the tables to within 0.5%.
+  for (const { temp, water, ice } of SATURATION_VAPOR_PRESSURES) {
+    it(`matches the table at ${temp}°C`, () => {
+      const [actual, expected] =
+        water === undefined
+          ? [
+              wetBulbCalculator.calculateSaturationVaporPressureOverIce(temp),
+              ice,
+            ]
+          : [wetBulbCalculator.calculateSaturationVaporPressure(temp), water];
+
+      assertClose(actual, expected, expected * 0.005);
+    });
+  }
+});
+
+describe("Stull approximation", () => {
+  it("reproduces the worked example of Stull (2011)", () => {
+    assert.equal(wetBulbCalculator.calculateWetBulb(20, 50), 13.7);
+  });
+
+  it("is within its estimated error of psychrometric tables", () => {
+    const { error } = wetBulbCalculator.formulas.stull;
+
+    for (const { temp, rh, wetBulb } of PSYCHROMETRIC_TABLE) {
+      assertClose(
+        wetBulbCalculator.calculateStullWetBulb(temp, rh),
+        wetBulb,
+        error,
+        `${temp}°C at ${rh}% RH`,
+      );
+    }
+  });
+
+  it("publishes an error that covers its error bounds", () => {
+    const { error } = wetBulbCalculator.formulas.stull;
+
+    for (const { min, max } of STULL_ERROR_BOUNDS) {
+      assert.ok(error >= Math.max(-min, max), `Error ${error} understated`);
+    }
+  });
+
+  for (const bounds of STULL_ERROR_BOUNDS) {
+    it(`stays within its error bounds over ${bounds.region}`, () => {
+      let min = Infinity;
+      let max = -Infinity;
+      let sum = 0;
+      let count = 0;
+
+      for (const temp of range(bounds.temps[0], bounds.temps[1], 1)) {
+        for (const rh of range(bounds.rhs[0], bounds.rhs[1], 1)) {
+          const error =
+            wetBulbCalculator.calculateStullWetBulb(temp, rh) -
+            wetBulbCalculator.calculatePsychrometricWetBulb(temp, rh);
+
+          min = Math.min(min, error);
+          max = Math.max(max, error);
+          sum += Math.abs(error);
+          count++;
+        }
+      }
+
+      assert.ok(min >= bounds.min, `Minimum error ${min} below ${bounds.min}`);
+      assert.ok(max <= bounds.max, `Maximum error ${max} above ${bounds.max}`);
+      assert.ok(
+        sum / count <= bounds.meanAbsolute,
+        `Mean absolute error ${sum / count} above ${bounds.meanAbsolute}`,
+      );
+    });
+  }
+});
+
+describe("psychrometric solution", () => {
+  it("is within its estimated error of psychrometric tables", () => {
+    // The tables are rounded to 0.1°C, which adds up to 0.05°C.
+    const tolerance = wetBulbCalculator.formulas.psychrometric.error + 0.05;
+
+    for (const { temp, rh, wetBulb } of PSYCHROMETRIC_TABLE) {
+      assertClose(
+        wetBulbCalculator.calculateRawWetBulb(temp, rh, PSYCHROMETRIC),
+        wetBulb,
+        tolerance,
+        `${temp}°C at ${rh}% RH`,
+      );
+    }
+  });
+
+  it("equals the air temperature in saturated air", () => {
+    for (const temp of range(0, 50, 5)) {
+      assertClose(
+        wetBulbCalculator.calculateRawWetBulb(temp, 100, PSYCHROMETRIC),
+        temp,
+        1e-5,
+      );
+    }
+  });
+
+  it("lies between the dew point and the air temperature", () => {
+    for (const temp of range(0, 50, 5)) {
+      for (const rh of range(5, 95, 5)) {
+        const wetBulb = wetBulbCalculator.calculateRawWetBulb(
+          temp,
+          rh,
+          PSYCHROMETRIC,
+        );
+
+        assert.ok(wetBulb < temp, `${temp}°C at ${rh}% RH`);
+        assert.ok(
+          wetBulb > wetBulbCalculator.calculateDewPoint(temp, rh),
+          `${temp}°C at ${rh}% RH`,
+        );
+      }
+    }
+  });
+});
+
+describe("round trips", () => {
+  /**
+   * Readings for each formula where the inverse solves have a unique answer.
+   * In cool air, Stull's wet bulb temperature dips below that of dry air as
+   * humidity rises, up to 47% RH at 0°C, so only warm air is used for it.
+   * Below -20°C, air at 80% RH is supersaturated with respect to ice, so its
+   * ice bulb temperature is capped at the air temperature.
+   * @type {[string, import('../src/wet-bulb-calculator.js').CalculationOptions, number[], number[]][]}
+   */
+  const cases = [
+    ["Stull", {}, range(15, 50, 5), range(15, 95, 5)],
+    ["psychrometric", PSYCHROMETRIC, range(-20, 50, 5), range(5, 80, 5)],
+  ];
+
+  /**
+   * List the readings of a case with their wet bulb temperatures, leaving out
+   * those that settle at 0°C, which a range of conditions share.
+   * @param {import('../src/wet-bulb-calculator.js').CalculationOptions} options
+   * @param {number[]} temps
+   * @param {number[]} rhs
+   */
+  function readings(options, temps, rhs) {
+    return temps
+      .flatMap((temp) =>
+        rhs.map((rh) => ({
+          temp,
+          rh,
+          wetBulb: wetBulbCalculator.calculateRawWetBulb(temp, rh, options),
+        })),
+      )
+      .filter(({ wetBulb }) => wetBulb !== 0);
+  }
+
+  for (const [name, options, temps, rhs] of cases) {
+    it(`recovers the humidity from the ${name} wet bulb temperature`, () => {
+      for (const { temp, rh, wetBulb } of readings(options, temps, rhs)) {
+        assertClose(
+          wetBulbCalculator.findHumidityForWetBulb(temp, wetBulb, options),
+          rh,
+          1e-3,
+          `${temp}°C at ${rh}% RH`,
+        );
+      }
+    });
+
+    it(`recovers the air temperature from the ${name} wet bulb temperature`, () => {
+      for (const { temp, rh, wetBulb } of readings(options, temps, rhs)) {
+        assertClose(
+          wetBulbCalculator.findTempForWetBulbAndHumidity(wetBulb, rh, options),
+          temp,
+          1e-3,
+          `${temp}°C at ${rh}% RH`,
+        );
+      }
+    });
+  }
+
+  it("flags Stull humidities in cool air that have more than one answer", () => {
+    // At 0°C Stull's wet bulb temperature is -4.5°C at 3.8% and at 21.6% RH.
+    const result = wetBulbCalculator.findHumidityForWetBulbResult(0, -4.5);
+    assert.ok(result.ambiguous);
+    assert.equal(result.error, Infinity);
+
+    for (const temp of range(-20, 10, 1)) {
+      const dry = wetBulbCalculator.calculateStullWetBulb(temp, 0);
+
+      for (const target of range(Math.ceil(dry) - 4, temp, 0.25)) {
+        const { rawValue, clamped, ambiguous } =
+          wetBulbCalculator.findHumidityForWetBulbResult(temp, target);
+        if (clamped) {
+          continue;
+        }
+
+        // Count the humidities that give the target on a fine grid.
+        let answers = 0;
+        let previous = dry - target;
+        for (const rh of range(0.05, 100, 0.05)) {
+          const difference =
+            wetBulbCalculator.calculateStullWetBulb(temp, rh) - target;
+          if (Math.sign(difference) !== Math.sign(previous)) {
+            answers++;
+          }
+          previous = difference;
+        }
+
+        const message = `${target}°C wet bulb at ${temp}°C`;
+        assert.equal(ambiguous, answers > 1, message);
+        assertClose(
+          wetBulbCalculator.calculateStullWetBulb(temp, rawValue),
+          target,
+          1e-3,
+          message,
+        );
+      }
+    }
+  });
+
+  it("recovers the humidity from the dew point", () => {
+    for (const temp of range(-40, 50, 5)) {
+      for (const rh of range(5, 100, 5)) {
+        const dewPoint = wetBulbCalculator.calculateDewPoint(temp, rh);
+
+        assertClose(
+          wetBulbCalculator.calculateRelativeHumidity(temp, dewPoint),
+          rh,
+          1e-9,
+          `${temp}°C at ${rh}% RH`,
+        );
+      }
+    }
+  });
+
+  it("recovers the humidity from the mixing ratio", () => {
+    for (const pressure of [1013.25, 850]) {
+      for (const temp of range(-40, 50, 5)) {
+        for (const rh of range(5, 100, 5)) {
+          const mixingRatio = wetBulbCalculator.calculateMixingRatio(temp, rh, {
+            pressure,
+          });
+
+          assertClose(
+            wetBulbCalculator.calculateRelativeHumidityFromMixingRatio(
+              temp,
+              mixingRatio,
+              { pressure },
+            ),
+            rh,
+            1e-9,
+            `${temp}°C at ${rh}% RH and ${pressure} hPa`,
+          );
+        }
+      }
+    }
+  });
+
+  it("recovers the mixing ratio from the wet bulb temperature", () => {
+    for (const { temp, rh, wetBulb } of readings(
+      PSYCHROMETRIC,
+      range(-20, 50, 5),
+      range(5, 80, 5),
+    )) {
+      assertClose(
+        wetBulbCalculator.calculateMixingRatioFromWetBulb(temp, wetBulb),
+        wetBulbCalculator.calculateMixingRatio(temp, rh),
+        1e-4,
+        `${temp}°C at ${rh}% RH`,
+      );
+    }
+  });
+
+  it("recovers the mixing ratio from the enthalpy", () => {
+    for (const temp of range(-40, 50, 5)) {
+      for (const rh of range(5, 100, 5)) {
+        assertClose(
+          wetBulbCalculator.calculateMixingRatioFromEnthalpy(
+            temp,
+            wetBulbCalculator.calculateEnthalpy(temp, rh),
+          ),
+          wetBulbCalculator.calculateMixingRatio(temp, rh),
+          1e-9,
+          `${temp}°C at ${rh}% RH`,
+        );
+      }
+    }
+  });
+
+  it("solves the same conditions from any two of them", () => {
+    const expected = wetBulbCalculator.solve({ temp: 32, rh: 55 });
+    const pairs = /** @type {const} */ ([
+      ["temp", "wetBulb"],
+      ["temp", "dewPoint"],
+      ["rh", "wetBulb"],
+      ["rh", "dewPoint"],
+      ["wetBulb", "dewPoint"],
+    ]);
+
+    for (const [a, b] of pairs) {
+      const solved = wetBulbCalculator.solve({
+        [a]: expected[a],
+        [b]: expected[b],
+      });
+
+      for (const key of /** @type {const} */ ([
+        "temp",
+        "rh",
+        "wetBulb",
+        "dewPoint",
+      ])) {
+        assertClose(solved[key], expected[key], 1e-3, `${key} from ${a}, ${b}`);
+      }
+    }
+  });
+});
+
+describe("monotonicity", () => {
+  /**
+   * Assert that the wet bulb temperature never decreases along a grid.
+   * @param {import('../src/wet-bulb-calculator.js').CalculationOptions} options
+   * @param {number[]} temps
+   * @param {number[]} rhs
+   * @param {"temp" | "rh"} along
+   */
+  function assertIncreasing(options, temps, rhs, along) {
+    const [outer, inner] = along === "rh" ? [temps, rhs] : [rhs, temps];
+
+    for (const fixed of outer) {
+      let previous = -Infinity;
+
+      for (const varied of inner) {
+        const [temp, rh] = along === "rh" ? [fixed, varied] : [varied, fixed];
+        const wetBulb = wetBulbCalculator.calculateRawWetBulb(
+          temp,
+          rh,
+          options,
+        );
+
+        assert.ok(wetBulb >= previous, `${temp}°C at ${rh}% RH`);
+        previous = wetBulb;
+      }
+    }
+  }
+
+  it("increases the Stull wet bulb temperature with air temperature", () => {
+    assertIncreasing({}, range(-20, 50, 0.5), range(5, 99, 1), "temp");
+  });
+
+  it("increases the Stull wet bulb temperature with humidity", () => {
+    // Below about 10% RH the fit dips as humidity rises, and below freezing
+    // the dip reaches higher humidities, so only warmer, moister air is
+    // checked.
+    assertIncreasing({}, range(0, 50, 1), range(10, 99, 0.5), "rh");
+  });
+
+  it("increases the Stull wet bulb temperature with humidity above 5% in warm air", () => {
+    // The humidity solver relies on this from 10°C.
+    assertIncreasing({}, range(10, 50, 0.5), range(5, 100, 0.1), "rh");
+  });
+
+  it("increases the psychrometric wet bulb temperature with air temperature", () => {
+    assertIncreasing(
+      PSYCHROMETRIC,
+      range(-40, 50, 0.5),
+      range(0, 100, 5),
+      "temp",
+    );
+  });
+
+  it("increases the psychrometric wet bulb temperature with humidity", () => {
+    assertIncreasing(
+      PSYCHROMETRIC,
+      range(-40, 50, 5),
+      range(0, 100, 0.5),
+      "rh",
+    );
+  });
+});
+
+describe("batch calculations", () => {
+  // Readings within and outside the domains of both formulas, and ones that
+  // have no solution, where the values are NaN.
+  const temps = [-45, -20, 0, 0.5, 20, 30, 35, 50, 60, NaN, 25];
+  const rhs = [50, 80, 5, 30, 50, 0, 100, 10, 40, 50, NaN];
+
+  /** @type {[string, import('../src/wet-bulb-calculator.js').CalculationOptions][]} */
+  const cases = [
+    ["Stull", {}],
+    ["psychrometric", { formula: "psychrometric", pressure: 850 }],
+  ];
+
+  for (const [name, options] of cases) {
+    it(`matches the scalar ${name} calculations`, () => {
+      const batch = wetBulbCalculator.calculateBatch(
+        { temp: Float64Array.from(temps), rh: Float64Array.from(rhs) },
+        options,
+      );
+      const levels = wetBulbCalculator.getDangerLevels();
+
+      temps.forEach((temp, i) => {
+        const rh = rhs[i];
+        const wetBulb = wetBulbCalculator.calculateRawWetBulb(
+          temp,
+          rh,
+          options,
+        );
+        const { level } = wetBulbCalculator.getDangerLevel(wetBulb);
+        const expected = {
+          wetBulb,
+          dangerLevel: levels.findIndex((entry) => entry.level === level),
+          ...wetBulbCalculator.calculateMoistureProperties(temp, rh, options),
+        };
+
+        assert.deepEqual(
+          Object.fromEntries(
+            Object.keys(batch).map((key) => [key, batch[key][i]]),
+          ),
+          expected,
+          `${temp}°C at ${rh}% RH`,
+        );
+      });
+    });
+  }
+
+  it("gives the same results for records as for columns", () => {
+    assert.deepEqual(
+      wetBulbCalculator.calculateBatch(
+        temps.map((temp, i) => ({ temp, rh: rhs[i] })),
+      ),
+      wetBulbCalculator.calculateBatch({ temp: temps, rh: rhs }),
+    );
+  });
+
+  it("rejects columns of different lengths", () => {
+    assert.throws(
+      () => wetBulbCalculator.calculateBatch({ temp: [20, 30], rh: [50] }),
+      RangeError,
+    );
+  });
+});